@@ -7,19 +7,248 @@
  */
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { CallToolRequestSchema, ListToolsRequestSchema, } from "@modelcontextprotocol/sdk/types.js";
+import { CallToolRequestSchema, CompleteRequestSchema, GetPromptRequestSchema, ListPromptsRequestSchema, ListResourcesRequestSchema, ListResourceTemplatesRequestSchema, ListToolsRequestSchema, ReadResourceRequestSchema, SetLevelRequestSchema, } from "@modelcontextprotocol/sdk/types.js";
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
 import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
 import * as fs from 'fs';
 import * as path from 'path';
 import * as os from 'os';
+import * as crypto from 'crypto';
 import matter from 'gray-matter';
 // Skill directory - can be overridden with SKILLS_DIR env var
 const SKILLS_DIR = process.env.SKILLS_DIR || path.join(os.homedir(), '.skills');
+// Log levels from least to most severe, as named by MCP; LOG_LEVEL also accepts 'warn'
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+/**
+ * Read a log level name, or null if it is not one
+ */
+function parseLogLevel(value) {
+    const name = value?.trim().toLowerCase() === 'warn' ? 'warning' : value?.trim().toLowerCase();
+    return LOG_LEVELS.find(level => level === name) ?? null;
+}
+// Local log output: level, 'text' or 'json' lines, and a file to append to instead of stderr.
+// stdout carries the MCP protocol and is never logged to.
+const LOG_LEVEL = parseLogLevel(process.env.LOG_LEVEL) ?? 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+const LOG_FILE = process.env.LOG_FILE;
+// Least severe level sent to the client as notifications/message, set with logging/setLevel
+let clientLogLevel = null;
+/**
+ * Describe a logged error: its message, and at debug level its stack
+ */
+function describeError(error) {
+    if (!(error instanceof Error))
+        return String(error);
+    return LOG_LEVEL === 'debug' && error.stack ? error.stack : error.message;
+}
+/**
+ * Write one log entry locally and, at or above the client's level, as an MCP log notification
+ */
+function writeLog(level, message, error) {
+    const severity = LOG_LEVELS.indexOf(level);
+    const detail = error !== undefined ? describeError(error) : undefined;
+    if (severity >= LOG_LEVELS.indexOf(LOG_LEVEL)) {
+        const ts = new Date().toISOString();
+        const line = LOG_FORMAT === 'json'
+            ? JSON.stringify({ ts, level, message, ...(detail !== undefined ? { error: detail } : {}) })
+            : `${ts} ${level.toUpperCase()} ${message}${detail !== undefined ? `: ${detail}` : ''}`;
+        try {
+            if (LOG_FILE) {
+                fs.appendFileSync(LOG_FILE, `${line}\n`);
+            }
+            else {
+                process.stderr.write(`${line}\n`);
+            }
+        }
+        catch {
+            process.stderr.write(`${line}\n`);
+        }
+    }
+    if (clientLogLevel && severity >= LOG_LEVELS.indexOf(clientLogLevel)) {
+        server.sendLoggingMessage({
+            level,
+            logger: 'skills-server',
+            data: detail !== undefined ? { message, error: detail } : message
+        }).catch(() => {
+            // The client went away; local output above still has the entry
+        });
+    }
+}
+const logger = {
+    debug: (message, error) => writeLog('debug', message, error),
+    info: (message, error) => writeLog('info', message, error),
+    warn: (message, error) => writeLog('warning', message, error),
+    error: (message, error) => writeLog('error', message, error),
+};
+/**
+ * Build the ordered skill search path, highest precedence first.
+ * SKILLS_PATH (platform path-delimited list) replaces the default layers:
+ *   project: SKILLS_PROJECT_DIR or ./.skills in the working directory
+ *   user:    SKILLS_DIR or ~/.skills
+ *   system:  SKILLS_SYSTEM_DIR (shared team directory, optional)
+ */
+function getSkillRoots() {
+    let entries;
+    if (process.env.SKILLS_PATH) {
+        entries = process.env.SKILLS_PATH.split(path.delimiter)
+            .filter(dir => dir.trim() !== '')
+            .map((dir, index) => ({ layer: `path[${index}]`, dir }));
+    }
+    else {
+        entries = [
+            { layer: 'project', dir: process.env.SKILLS_PROJECT_DIR || path.join(process.cwd(), '.skills') },
+            { layer: 'user', dir: SKILLS_DIR },
+        ];
+        if (process.env.SKILLS_SYSTEM_DIR) {
+            entries.push({ layer: 'system', dir: process.env.SKILLS_SYSTEM_DIR });
+        }
+    }
+    // The same directory can appear under several layers (e.g. cwd is $HOME); keep the first
+    const seen = new Set();
+    return entries
+        .map(entry => ({ ...entry, dir: path.resolve(entry.dir), realDir: path.resolve(entry.dir) }))
+        .filter(entry => {
+        if (seen.has(entry.dir))
+            return false;
+        seen.add(entry.dir);
+        return true;
+    });
+}
+const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
 // Cache for loaded skills
 let skillsCache = [];
 let lastCacheTime = 0;
 const CACHE_DURATION = 5000; // 5 seconds
+// Watch the skill roots and reload on change instead of polling every CACHE_DURATION.
+// Roots without a watcher (missing at startup, or unwatchable) keep the cache on the polling timer.
+const SKILLS_WATCH = process.env.SKILLS_WATCH !== 'false';
+const SKILLS_WATCH_DEBOUNCE = parseInt(process.env.SKILLS_WATCH_DEBOUNCE || '200', 10);
+let watchingSkills = false;
+let skillWatchers = new Map(); // By root dir
+let reloadTimer = null;
+// Changed paths not yet reloaded; only the roots containing them are walked again
+const pendingChanges = new Set();
+const collectedRoots = new Map();
+const parsedSkillFiles = new Map();
+// Maximum category nesting below a skill root (e.g. devops/k8s/SKILL.md is depth 1)
+const MAX_SKILL_DEPTH = 8;
+// Limits for bundled files served from a skill folder
+const MAX_SKILL_FILE_BYTES = parseInt(process.env.SKILL_FILE_MAX_BYTES || '262144', 10); // 256 KB
+const MAX_SKILL_FILE_ENTRIES = 500;
+// MIME types for common bundled file extensions
+const MIME_TYPES = {
+    '.md': 'text/markdown',
+    '.txt': 'text/plain',
+    '.json': 'application/json',
+    '.yaml': 'application/yaml',
+    '.yml': 'application/yaml',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.ts': 'text/typescript',
+    '.py': 'text/x-python',
+    '.sh': 'text/x-shellscript',
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.csv': 'text/csv',
+    '.xml': 'application/xml',
+    '.sql': 'application/sql',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip'
+};
+// Frontmatter fields understood by the server; anything else is reported as unknown
+const FRONTMATTER_SCHEMA = {
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true, optionalWith: 'extends' },
+    type: { type: 'string', enum: ['static', 'executable'] },
+    allowed_tools: { type: 'string[]' },
+    execution_logic: { type: 'string', enum: ['static', 'conditional', 'sequential', 'parallel'] },
+    parameters: { type: 'object' },
+    skill_id: { type: 'string' },
+    version: { type: ['string', 'number'] },
+    extends: { type: 'string' },
+    priority: { type: 'number' },
+    aliases: { type: 'string[]' },
+    tags: { type: 'string[]' },
+    category: { type: 'string' },
+    when_to_use: { type: 'string' },
+    related: { type: 'string[]' }
+};
+// Fields a child skill inherits from its `extends` parent when it does not set them
+const INHERITED_FIELDS = ['description', 'type', 'allowed_tools', 'execution_logic', 'tags', 'when_to_use'];
+// {{> skill-name}} includes another skill's content; {{> path/file.md}} includes a fragment file.
+// Matches code spans too, so tags inside them are skipped; `\{{>` is an escaped tag.
+const INCLUDE_PATTERN = /(`+)[\s\S]*?\1|(\\?)\{\{>\s*([^}\s]+)\s*\}\}/g;
+// Search path, shadowing report and diagnostics from the last load
+let skillRoots = [];
+let shadowedSkills = [];
+let skillDiagnostics = [];
+// All loaded versions of each skill, keyed by tool name, newest first
+let skillVersions = new Map();
+// How to resolve two skills with the same tool name and version in one layer:
+// 'priority' keeps the highest `priority`, then the first by sorted path; 'error' drops all copies
+const DUPLICATE_POLICY = process.env.SKILLS_DUPLICATE_POLICY === 'error' ? 'error' : 'priority';
+// Lazy-MCP navigation tool names, reserved alongside the skill library tools
+const LAZY_MCP_TOOL_NAMES = ['lazy_mcp_get_tools_in_category', 'lazy_mcp_execute_tool'];
+// Skill disclosure: 'full' lists one tool per skill, 'progressive' lists only the
+// discovery tools, 'auto' switches to progressive above SKILLS_DISCLOSURE_THRESHOLD skills
+const SKILLS_DISCLOSURE = process.env.SKILLS_DISCLOSURE || 'auto';
+const SKILLS_DISCLOSURE_THRESHOLD = parseInt(process.env.SKILLS_DISCLOSURE_THRESHOLD || '50', 10);
+// Discovery tools listed in place of individual skills in progressive mode;
+// search_skills is useful with any library size and is listed in both modes
+const SKILL_DISCOVERY_TOOL_NAMES = ['list_skill_categories', 'get_skill'];
+// MCP tool names: letters, digits, '_' and '-', at most 64 characters
+const MAX_TOOL_NAME_LENGTH = 64;
+// MCP tool names and aliases mapped to the skill reference they call
+let toolNameIndex = new Map();
+// List every installed version in tools/list (as name@version), not just the latest
+const LIST_ALL_VERSIONS = process.env.SKILLS_LIST_ALL_VERSIONS === 'true';
+// Exposure profiles: named include/exclude rules, selected with SKILLS_PROFILE or --profile
+const SKILLS_PROFILES_FILE = process.env.SKILLS_PROFILES_FILE || path.join(SKILLS_DIR, 'profiles.json');
+// Profile chosen at startup; null exposes every skill
+let activeProfile = null;
+// Local usage log: one JSON line per skill call, only ever appended to; kept with per-user state, not in the skills
+const SKILLS_USAGE_FILE = process.env.SKILLS_USAGE_FILE || path.join(os.homedir(), '.skills-server', 'usage.jsonl');
+const USAGE_TRACKING = process.env.SKILLS_USAGE_TRACKING !== 'false';
+// URI scheme of skill resources: skill://{name}, skill://{name}/{section}, skill://{name}/files/{path}
+const SKILL_URI_SCHEME = 'skill://';
+// URI scheme of lazy-mcp resources: lazy-mcp://category/{path}, lazy-mcp://tool/{tool_path}
+const LAZY_MCP_URI_SCHEME = 'lazy-mcp://';
+// Skill call arguments handled by the server instead of being passed to the skill
+const SKILL_CALL_OPTIONS = ['toc', 'sections', 'page_tokens', 'cursor', 'max_tokens'];
+// Schemas of the call options for reading large skills in parts, documented once in get_skill
+const SKILL_CALL_OPTION_PROPERTIES = {
+    toc: {
+        type: "boolean",
+        description: "Return a table of contents with token estimates per section instead of the content"
+    },
+    sections: {
+        type: "array",
+        items: { type: "string" },
+        description: "Return only these sections, by id or heading title as listed in the table of contents"
+    },
+    page_tokens: {
+        type: "integer",
+        description: "Return the content in pages of about this many tokens, with a cursor for the next page"
+    },
+    cursor: {
+        type: "string",
+        description: "Cursor from the previous page, to fetch the next one"
+    },
+    max_tokens: {
+        type: "integer",
+        description: "Token budget for the response; larger content is abridged to an outline and its first sections"
+    }
+};
+// Skills over this many estimated tokens also list the call options in their own tool schema
+const LARGE_SKILL_TOKENS = 2000;
+// Opening line of a fenced code block (``` or ~~~)
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
 // Lazy-MCP configuration
 // Respect LAZY_MCP_ENABLED environment variable first, then check if command exists
 const LAZY_MCP_COMMAND = process.env.LAZY_MCP_COMMAND || '../lazy-mcp/run-lazy-mcp.sh';
@@ -41,312 +270,2753 @@ let lazyMCPClient = null;
 let lazyMCPToolsCache = [];
 let lastLazyMCPCacheTime = 0;
 const LAZY_MCP_CACHE_DURATION = 300000; // 5 minutes
+// Cache of lazy-mcp category listings by path, used for argument completion
+let lazyMCPCategoryCache = new Map();
+// Most values returned for one completion request (the MCP limit)
+const MAX_COMPLETION_VALUES = 100;
 /**
- * Load and parse all skills from the skills directory
+ * Check that a directory entry name is safe to join onto a skills path
  */
-async function loadSkills() {
-    const now = Date.now();
-    // Return cached skills if still fresh
-    if (skillsCache.length > 0 && (now - lastCacheTime) < CACHE_DURATION) {
-        return skillsCache;
+function isSafeDirName(name) {
+    return name !== '' && !name.includes('..') && !name.includes('/') && !name.includes('\\');
+}
+/**
+ * Record a load diagnostic and echo it to stderr
+ */
+function addDiagnostic(ctx, diagnostic) {
+    ctx.diagnostics.push(diagnostic);
+    const where = diagnostic.field ? `${diagnostic.file} [${diagnostic.field}]` : diagnostic.file;
+    writeLog(diagnostic.severity === 'error' ? 'error' : 'warning', `Skill ${diagnostic.severity}: ${where}: ${diagnostic.message}`);
+}
+/**
+ * Describe a frontmatter value's type in the vocabulary of FieldSchema
+ */
+function describeType(value) {
+    if (Array.isArray(value))
+        return 'array';
+    if (value === null)
+        return 'null';
+    return typeof value;
+}
+/**
+ * Check a frontmatter value against one field schema, returning an error message or null
+ */
+function checkField(value, schema) {
+    const actual = describeType(value);
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const typeOk = allowed.some(type => {
+        if (type === 'string[]') {
+            return Array.isArray(value) && value.every(item => typeof item === 'string');
+        }
+        return type === actual;
+    });
+    if (!typeOk) {
+        return `expected ${allowed.join(' or ')}, got ${actual}`;
     }
-    const skills = [];
-    try {
-        // Check if skills directory exists, create if not
-        if (!fs.existsSync(SKILLS_DIR)) {
-            try {
-                fs.mkdirSync(SKILLS_DIR, { recursive: true });
-                console.error(`Created skills directory: ${SKILLS_DIR}`);
-            }
-            catch (error) {
-                console.error(`Failed to create skills directory: ${SKILLS_DIR}`, error);
-                return skills;
-            }
-        }
-        // Read all skill directories
-        const skillDirs = fs.readdirSync(SKILLS_DIR, { withFileTypes: true })
-            .filter(dirent => dirent.isDirectory())
-            .map(dirent => dirent.name);
-        for (const skillDir of skillDirs) {
-            // Validate skill directory name to prevent directory traversal
-            if (skillDir.includes('..') || skillDir.includes('/') || skillDir.includes('\\')) {
-                console.warn(`Invalid skill directory name: ${skillDir}, skipping`);
-                continue;
-            }
-            const skillPath = path.join(SKILLS_DIR, skillDir);
-            const skillMdPath = path.join(skillPath, 'SKILL.md');
-            try {
-                // Check if SKILL.md exists
-                if (!fs.existsSync(skillMdPath)) {
-                    console.warn(`SKILL.md not found in ${skillDir}, skipping`);
-                    continue;
-                }
-                // Read and parse the skill file
-                const skillContent = fs.readFileSync(skillMdPath, 'utf-8');
-                const parsed = matter(skillContent);
-                // Validate required frontmatter
-                if (!parsed.data.name || !parsed.data.description) {
-                    console.warn(`Invalid frontmatter in ${skillDir}, missing name or description`);
-                    continue;
-                }
-                skills.push({
-                    name: parsed.data.name,
-                    description: parsed.data.description,
-                    content: parsed.content,
-                    path: skillMdPath,
-                    type: parsed.data.type || 'static',
-                    allowed_tools: parsed.data.allowed_tools || [],
-                    execution_logic: parsed.data.execution_logic || 'static',
-                    parameters: parsed.data.parameters || {},
-                    skill_id: parsed.data.skill_id || parsed.data.name,
-                    version: parsed.data.version || 'latest'
-                });
+    if (schema.enum && !schema.enum.includes(String(value))) {
+        return `must be one of ${schema.enum.join(', ')}, got '${value}'`;
+    }
+    if (typeof value === 'string' && schema.required && value.trim() === '') {
+        return 'must not be empty';
+    }
+    return null;
+}
+/**
+ * Validate parsed frontmatter against FRONTMATTER_SCHEMA
+ * Type, enum and missing-field problems are errors; unknown keys are warnings
+ */
+function validateFrontmatter(ctx, file, data) {
+    let valid = true;
+    for (const [field, schema] of Object.entries(FRONTMATTER_SCHEMA)) {
+        if (data[field] === undefined) {
+            if (schema.required && !(schema.optionalWith && data[schema.optionalWith] !== undefined)) {
+                addDiagnostic(ctx, { severity: 'error', file, field, message: 'required field is missing' });
+                valid = false;
             }
-            catch (error) {
-                console.error(`Error loading skill ${skillDir}:`, error);
+            continue;
+        }
+        const problem = checkField(data[field], schema);
+        if (problem) {
+            addDiagnostic(ctx, { severity: 'error', file, field, message: problem });
+            valid = false;
+        }
+    }
+    for (const field of Object.keys(data)) {
+        if (!(field in FRONTMATTER_SCHEMA)) {
+            addDiagnostic(ctx, { severity: 'warning', file, field, message: 'unknown frontmatter key' });
+        }
+    }
+    return valid;
+}
+/**
+ * Check whether a value matches a parameter type
+ */
+function matchesParameterType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return describeType(value) === 'object';
+        default:
+            return typeof value === type;
+    }
+}
+/**
+ * Normalize the `parameters` frontmatter into SkillParameter definitions.
+ * Each entry is either a type name (`env: string`) or a definition object
+ * with type, description, required, enum and default.
+ */
+function normalizeParameters(ctx, file, raw) {
+    const parameters = {};
+    let valid = true;
+    const fail = (param, message) => {
+        addDiagnostic(ctx, { severity: 'error', file, field: `parameters.${param}`, message });
+        valid = false;
+    };
+    for (const [param, def] of Object.entries(raw || {})) {
+        const kind = describeType(def);
+        if (kind !== 'string' && kind !== 'object') {
+            fail(param, `expected a type name or parameter definition, got ${kind}`);
+            continue;
+        }
+        if (SKILL_CALL_OPTIONS.includes(param)) {
+            fail(param, `'${param}' is reserved for skill call options`);
+            continue;
+        }
+        const spec = kind === 'string' ? { type: def } : def;
+        const type = spec.type === undefined ? 'string' : spec.type;
+        if (!PARAMETER_TYPES.includes(type)) {
+            fail(param, `type must be one of ${PARAMETER_TYPES.join(', ')}, got '${type}'`);
+            continue;
+        }
+        if (spec.description !== undefined && typeof spec.description !== 'string') {
+            fail(param, 'description must be a string');
+            continue;
+        }
+        if (spec.required !== undefined && typeof spec.required !== 'boolean') {
+            fail(param, 'required must be true or false');
+            continue;
+        }
+        if (spec.enum !== undefined && (!Array.isArray(spec.enum) || spec.enum.length === 0)) {
+            fail(param, 'enum must be a non-empty list');
+            continue;
+        }
+        if (spec.enum && spec.enum.some((value) => !matchesParameterType(value, type))) {
+            fail(param, `enum values must all be of type ${type}`);
+            continue;
+        }
+        if (spec.default !== undefined && !matchesParameterType(spec.default, type)) {
+            fail(param, `default must be of type ${type}`);
+            continue;
+        }
+        if (spec.default !== undefined && spec.enum && !spec.enum.includes(spec.default)) {
+            fail(param, 'default must be one of the enum values');
+            continue;
+        }
+        parameters[param] = {
+            type,
+            description: spec.description,
+            required: spec.required === true,
+            enum: spec.enum,
+            default: spec.default
+        };
+    }
+    return valid ? parameters : null;
+}
+/**
+ * Parse skill content into template nodes. `\{{` escapes a literal `{{`.
+ * Throws on unbalanced or mismatched section tags.
+ */
+function parseTemplate(content) {
+    const root = [];
+    const stack = [{ name: '', children: root }];
+    const tagPattern = /\\\{\{|\{\{\s*([#^/]?)\s*([A-Za-z_][\w-]*)\s*(?:\|([^}]*))?\}\}/g;
+    let last = 0;
+    let match;
+    const pushText = (text) => {
+        if (text)
+            stack[stack.length - 1].children.push({ kind: 'text', text });
+    };
+    while ((match = tagPattern.exec(content)) !== null) {
+        pushText(content.slice(last, match.index));
+        last = tagPattern.lastIndex;
+        if (match[0] === '\\{{') {
+            pushText('{{');
+            continue;
+        }
+        const [, sigil, name, fallback] = match;
+        const current = stack[stack.length - 1];
+        if (sigil === '#' || sigil === '^') {
+            const section = { kind: 'section', name, inverted: sigil === '^', children: [] };
+            current.children.push(section);
+            stack.push({ name, children: section.children });
+        }
+        else if (sigil === '/') {
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`unexpected closing tag {{/${name}}}`);
             }
+            stack.pop();
+        }
+        else {
+            current.children.push({ kind: 'var', name, fallback: fallback?.trim() });
         }
     }
-    catch (error) {
-        console.error('Error loading skills directory:', error);
+    pushText(content.slice(last));
+    if (stack.length > 1) {
+        throw new Error(`section {{#${stack[stack.length - 1].name}}} is never closed`);
     }
-    // Update cache
-    skillsCache = skills;
-    lastCacheTime = now;
-    console.error(`Loaded ${skills.length} skills from ${SKILLS_DIR}`);
-    return skills;
+    return root;
 }
 /**
- * Ensure lazy-mcp client is connected
+ * Collect every parameter name referenced by a template
  */
-async function ensureLazyMCPConnection() {
-    // Check environment variable dynamically on each call
-    if (!getLazyMCPEnabled()) {
-        // If disabled, ensure client is disconnected and cache is cleared
-        if (lazyMCPClient) {
-            try {
-                await lazyMCPClient.close();
+function templateNames(nodes, names = new Set()) {
+    for (const node of nodes) {
+        if (node.kind === 'var') {
+            names.add(node.name);
+        }
+        else if (node.kind === 'section') {
+            names.add(node.name);
+            templateNames(node.children, names);
+        }
+    }
+    return names;
+}
+/**
+ * Check whether a template argument counts as set for {{#sections}}: empty and false values do not
+ */
+function isTemplateValueSet(value) {
+    if (value === undefined || value === null || value === '' || value === false)
+        return false;
+    return !(Array.isArray(value) && value.length === 0);
+}
+/**
+ * Render a parsed template with call arguments
+ * Placeholders with no value and no fallback are dropped, or kept as written with `keepUnresolved`,
+ * and returned as unresolved; any value but undefined or null, including false and 0, fills a placeholder
+ */
+function renderTemplate(nodes, args, keepUnresolved = false, unresolved = new Set()) {
+    let text = '';
+    for (const node of nodes) {
+        if (node.kind === 'text') {
+            text += node.text;
+        }
+        else if (node.kind === 'var') {
+            const value = args[node.name];
+            if (value !== undefined && value !== null) {
+                text += typeof value === 'string' ? value : JSON.stringify(value);
             }
-            catch (error) {
-                // Ignore close errors
+            else if (node.fallback !== undefined) {
+                text += node.fallback;
+            }
+            else {
+                if (keepUnresolved)
+                    text += `{{${node.name}}}`;
+                unresolved.add(node.name);
             }
-            lazyMCPClient = null;
         }
-        // Clear the tools cache when disabled
-        lazyMCPToolsCache = [];
-        return false;
+        else if (isTemplateValueSet(args[node.name]) !== node.inverted) {
+            text += renderTemplate(node.children, args, keepUnresolved, unresolved).text;
+        }
     }
-    if (!lazyMCPClient) {
-        try {
-            lazyMCPClient = new Client({
-                name: "skills-server-lazy-mcp-client",
-                version: "0.1.0",
-            }, {
-                capabilities: {},
-            });
-            const transport = new StdioClientTransport({
-                command: LAZY_MCP_COMMAND,
-                args: [],
-            });
-            await lazyMCPClient.connect(transport);
-            console.error('Connected to lazy-mcp successfully');
-            return true;
+    return { text, unresolved: [...unresolved] };
+}
+/**
+ * Render a skill's content for a call, appending a notice for unresolved placeholders
+ */
+function renderSkillContent(skill, args) {
+    if (!skill.template) {
+        return skill.content;
+    }
+    const { text, unresolved } = renderTemplate(skill.template, args);
+    if (unresolved.length === 0) {
+        return text;
+    }
+    return `${text}\n\n---\nUnresolved placeholders: ${unresolved.map(name => `\`${name}\``).join(', ')}. Pass them as arguments to fill in this skill.`;
+}
+/**
+ * Estimate the token count of a text the way BPE tokenizers split it:
+ * short words are one token, long words one per six characters, each
+ * punctuation mark and each CJK character one token
+ */
+function estimateTokens(text) {
+    let tokens = 0;
+    for (const [piece] of text.matchAll(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{N}_]+|\S/gu)) {
+        tokens += Math.ceil(piece.length / 6);
+    }
+    return tokens;
+}
+/**
+ * Split markdown into sections by ATX headings, ignoring '#' lines inside fenced code blocks
+ * A section runs until the next heading of the same or a higher level
+ */
+function splitSections(content) {
+    const lines = content.split('\n');
+    const headings = [];
+    let fence = null;
+    lines.forEach((line, index) => {
+        const fenceMatch = FENCE_PATTERN.exec(line);
+        if (fenceMatch) {
+            if (!fence)
+                fence = fenceMatch[1];
+            else if (fenceMatch[1].startsWith(fence))
+                fence = null;
+            return;
         }
-        catch (error) {
-            console.error('Failed to connect to lazy-mcp:', error);
-            lazyMCPClient = null;
-            return false;
+        const heading = fence ? null : /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+        if (heading) {
+            headings.push({ line: index, level: heading[1].length, title: heading[2] });
         }
+    });
+    const sections = [];
+    const preamble = lines.slice(0, headings.length > 0 ? headings[0].line : lines.length).join('\n').trim();
+    if (preamble) {
+        sections.push({ id: 'preamble', title: '', level: 0, text: preamble });
     }
-    return true;
+    const slugs = new Map();
+    headings.forEach((heading, index) => {
+        const next = headings.slice(index + 1).find(other => other.level <= heading.level);
+        const slug = heading.title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'section';
+        const seen = (slugs.get(slug) || 0) + 1;
+        slugs.set(slug, seen);
+        sections.push({
+            id: seen > 1 ? `${slug}-${seen}` : slug,
+            title: heading.title,
+            level: heading.level,
+            text: lines.slice(heading.line, next ? next.line : lines.length).join('\n').trim()
+        });
+    });
+    return sections;
 }
 /**
- * Scan lazy-mcp hierarchy and create traditional MCP tools
+ * Table of contents for a skill's rendered content, with token estimates per section
  */
-async function scanLazyMCPHierarchy(path = "") {
-    const tools = [];
-    try {
-        const result = await lazyMCPClient.callTool({
-            name: "get_tools_in_category",
-            arguments: { path }
-        });
-        // Extract the actual data from MCP response
-        let responseData = null;
-        if (result.content && result.content.length > 0) {
-            const content = result.content[0];
-            if (content.type === 'text') {
-                responseData = JSON.parse(content.text);
-            }
+function buildSkillToc(skill, content) {
+    return {
+        skill: skill.mcpName,
+        tokens: estimateTokens(content),
+        sections: splitSections(content).map(section => ({
+            id: section.id,
+            title: section.title,
+            level: section.level,
+            tokens: estimateTokens(section.text)
+        }))
+    };
+}
+/**
+ * Pick named sections from rendered content, matched by id or case-insensitive title
+ */
+function selectSections(skill, content, names) {
+    const sections = splitSections(content);
+    const selected = [];
+    for (const name of names) {
+        const wanted = name.trim().toLowerCase();
+        const section = sections.find(s => s.id === wanted) || sections.find(s => s.title.toLowerCase() === wanted);
+        if (!section) {
+            throw new Error(`Skill '${skill.toolName}' has no section '${name}' (available: ${sections.map(s => s.id).join(', ')})`);
         }
-        if (!responseData)
-            return tools;
-        // Process leaf tools at this level
-        if (responseData.tools) {
-            for (const [toolName, toolDef] of Object.entries(responseData.tools)) {
-                const fullPath = path ? `${path}.${toolName}` : toolName;
-                tools.push(createTraditionalTool(fullPath, toolDef));
+        if (!selected.includes(section))
+            selected.push(section);
+    }
+    return selected.map(section => section.text).join('\n\n');
+}
+/**
+ * Offsets where a page of content may start: each heading, paragraph and fenced code block
+ * Code blocks are kept whole, so no offset falls inside one
+ */
+function blockBoundaries(content) {
+    const boundaries = [];
+    let offset = 0;
+    let fence = null;
+    let blockEnded = true;
+    for (const line of content.split('\n')) {
+        const fenceMatch = FENCE_PATTERN.exec(line);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1].startsWith(fence)) {
+                fence = null;
+                blockEnded = true;
             }
         }
-        // Process children recursively - but only for universal, non-database categories
-        if (responseData.children) {
-            for (const childPath in responseData.children) {
-                const child = responseData.children[childPath];
-                // Only include universal categories that don't require specific databases
-                const universalCategories = [
-                    'brave-search', 'playwright', 'puppeteer', 'filesystem',
-                    'desktop-commander', 'memory', 'youtube', 'fuse-optimizer',
-                    'brave-search-marketplace', 'playwright-marketplace', 'puppeteer-marketplace', 'whatsapp-mcp'
-                ];
-                if (universalCategories.includes(childPath)) {
-                    const childTools = await scanLazyMCPHierarchy(childPath);
-                    tools.push(...childTools);
-                }
+        else if (line.trim() === '') {
+            blockEnded = true;
+        }
+        else {
+            const heading = /^\s{0,3}#{1,6}\s/.test(line);
+            if (blockEnded || heading || fenceMatch) {
+                boundaries.push({ offset, heading });
             }
+            if (fenceMatch)
+                fence = fenceMatch[1];
+            blockEnded = heading;
+        }
+        offset += line.length + 1;
+    }
+    return boundaries;
+}
+/**
+ * Cut one page of at most `pageTokens` tokens starting at `start`
+ * Prefers ending before a heading once the page is half full; a single block
+ * larger than the page is returned whole. With `exact`, a page that would end less than
+ * half full is filled by cutting the next block at the last word that fits.
+ * `next` is null on the last page.
+ */
+function paginateContent(content, start, pageTokens, exact = false) {
+    if (estimateTokens(content.slice(start)) <= pageTokens) {
+        return { text: content.slice(start).trim(), next: null };
+    }
+    let fit = null;
+    let headingFit = null;
+    let firstBoundary = null;
+    let overflow = content.length;
+    for (const boundary of blockBoundaries(content)) {
+        if (boundary.offset <= start)
+            continue;
+        firstBoundary ??= boundary.offset;
+        if (estimateTokens(content.slice(start, boundary.offset)) > pageTokens) {
+            overflow = boundary.offset;
+            break;
+        }
+        fit = boundary.offset;
+        if (boundary.heading)
+            headingFit = boundary.offset;
+    }
+    let end = fit ?? firstBoundary ?? content.length;
+    if (exact && estimateTokens(content.slice(start, fit ?? start)) < pageTokens / 2) {
+        // Largest end that fits, then back to a word break; always advance by at least one word
+        const from = fit ?? start;
+        let low = from;
+        let high = overflow;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (estimateTokens(content.slice(start, mid)) <= pageTokens)
+                low = mid;
+            else
+                high = mid - 1;
+        }
+        const lastBreak = content.slice(from, low + 1).search(/(?<=\S)\s\S*$/);
+        const firstBreak = content.slice(start).search(/(?<=\S)\s/);
+        if (lastBreak >= 0)
+            end = from + lastBreak;
+        else if (fit === null)
+            end = firstBreak >= 0 ? start + firstBreak : content.length;
+    }
+    if (headingFit !== null && estimateTokens(content.slice(start, headingFit)) >= pageTokens / 2) {
+        end = headingFit;
+    }
+    return { text: content.slice(start, end).trim(), next: end < content.length ? end : null };
+}
+/**
+ * Shorten content to at most `maxTokens`: an outline of every heading with its
+ * token estimate, then as many leading sections as still fit, then a note of what was left out.
+ * Parts are dropped (content, then outline lines, then the header) and the closing note is shortened
+ * until the whole response fits; only a budget below the short note (about 20 tokens) is exceeded.
+ */
+function abridgeContent(skill, content, maxTokens) {
+    const total = estimateTokens(content);
+    const headings = blockBoundaries(content).filter(boundary => boundary.heading);
+    const cuts = [0, ...blockBoundaries(content).map(boundary => boundary.offset)];
+    let brief = false;
+    let header = `# ${skill.name} (abridged)\n\nThis response was shortened to fit max_tokens=${maxTokens}; the full content is about ${total} tokens.`;
+    const outline = splitSections(content)
+        .filter(section => section.level > 0)
+        .map(section => `${'  '.repeat(section.level - 1)}- ${section.title} (~${estimateTokens(section.text)} tokens)`);
+    const build = (omittedFrom) => {
+        const included = content.slice(0, omittedFrom).trim();
+        const omittedSections = headings.filter(boundary => boundary.offset >= omittedFrom).length;
+        const parts = header ? [header] : [];
+        if (outline.length > 0)
+            parts.push(`## Outline\n\n${outline.join('\n')}`);
+        if (included)
+            parts.push(`## Beginning\n\n${included}`);
+        const omitted = `Omitted: about ${estimateTokens(content.slice(omittedFrom))} of ${total} tokens`;
+        parts.push(brief
+            ? `${omitted}; use \`sections\` or \`page_tokens\`.`
+            : `---\n${omitted} (${omittedSections} of ${headings.length} sections). Fetch sections by name with \`sections\`, or read everything with \`page_tokens\`.`);
+        return parts.join('\n\n');
+    };
+    // Include content up to the last block boundary that fits, but do not end on a heading whose text did not fit
+    let omittedFrom = 0;
+    for (const cut of cuts.slice(1)) {
+        if (estimateTokens(build(cut)) > maxTokens)
+            break;
+        omittedFrom = cut;
+    }
+    const lastHeading = headings.filter(boundary => boundary.offset < omittedFrom).at(-1);
+    if (lastHeading && !content.slice(lastHeading.offset, omittedFrom).trim().includes('\n')) {
+        omittedFrom = lastHeading.offset;
+    }
+    // Without any content, trim the outline and then the header
+    while (estimateTokens(build(omittedFrom)) > maxTokens) {
+        if (outline.length > 0) {
+            outline.pop();
+        }
+        else if (header) {
+            header = null;
+        }
+        else if (!brief) {
+            brief = true;
+        }
+        else {
+            break;
         }
     }
+    return build(omittedFrom);
+}
+/**
+ * Encode a pagination cursor: where the next page starts, the page size and a
+ * hash of the content, so a cursor is not applied to content that has changed
+ */
+function encodeCursor(content, offset, pageTokens, page) {
+    const hash = crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+    return Buffer.from(JSON.stringify({ o: offset, n: pageTokens, p: page, h: hash })).toString('base64url');
+}
+/**
+ * Decode a pagination cursor, or throw if it is malformed or the content changed
+ */
+function decodeCursor(skill, content, cursor) {
+    let state;
+    try {
+        state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    }
+    catch {
+        state = null;
+    }
+    if (!state || !Number.isInteger(state.o) || !Number.isInteger(state.n) || !Number.isInteger(state.p) || state.o < 0 || state.o > content.length) {
+        throw new Error(`Invalid cursor for skill '${skill.toolName}'`);
+    }
+    if (state.h !== crypto.createHash('sha1').update(content).digest('hex').slice(0, 12)) {
+        throw new Error(`Skill '${skill.toolName}' changed since the cursor was issued; call again without a cursor to start over`);
+    }
+    return { offset: state.o, pageTokens: state.n, page: state.p };
+}
+/**
+ * Parse a single SKILL.md into a Skill, or null if its frontmatter is invalid
+ */
+function parseSkillFile(ctx, skillMdPath, categoryParts) {
+    const skillContent = fs.readFileSync(skillMdPath, 'utf-8');
+    let parsed;
+    try {
+        parsed = matter(skillContent);
+    }
     catch (error) {
-        console.error(`Error scanning lazy-mcp hierarchy at path ${path}:`, error);
+        addDiagnostic(ctx, { severity: 'error', file: skillMdPath, message: `frontmatter is not valid YAML: ${error.message.split('\n')[0]}` });
+        return null;
     }
-    return tools;
+    if (!validateFrontmatter(ctx, skillMdPath, parsed.data)) {
+        return null;
+    }
+    const parameters = normalizeParameters(ctx, skillMdPath, parsed.data.parameters);
+    if (!parameters) {
+        return null;
+    }
+    // A declared category files the skill for browsing and filtering; the tool name keeps its folder namespace
+    const folderCategory = categoryParts.join('.');
+    const category = parsed.data.category !== undefined ? parsed.data.category.trim().replace(/^\.+|\.+$/g, '') : folderCategory;
+    if (category && !category.split('.').every(isSafeDirName)) {
+        addDiagnostic(ctx, { severity: 'error', file: skillMdPath, field: 'category', message: `'${parsed.data.category}' is not a dot-separated category path` });
+        return null;
+    }
+    return {
+        name: parsed.data.name,
+        description: parsed.data.description,
+        content: parsed.content,
+        path: skillMdPath,
+        dir: path.dirname(skillMdPath),
+        root: ctx.root.realDir,
+        category,
+        toolName: folderCategory ? `${folderCategory}.${parsed.data.name}` : parsed.data.name,
+        mcpName: '',
+        aliases: [],
+        layer: ctx.root.layer,
+        tags: [...new Set((parsed.data.tags || []).map((tag) => tag.trim().toLowerCase()).filter(Boolean))],
+        when_to_use: parsed.data.when_to_use,
+        related: [],
+        type: parsed.data.type || 'static',
+        allowed_tools: parsed.data.allowed_tools || [],
+        execution_logic: parsed.data.execution_logic || 'static',
+        parameters,
+        frontmatter: parsed.data,
+        priority: parsed.data.priority ?? 0,
+        skill_id: parsed.data.skill_id || parsed.data.name,
+        version: frontmatterVersion(parsed)
+    };
 }
 /**
- * Create traditional MCP tool from lazy-mcp tool definition
+ * Read a skill's version as written. YAML reads an unquoted `2.10` as the number 2.1
+ * and `1.0` as 1, so a numeric version is taken from the raw frontmatter text.
  */
-function createTraditionalTool(toolPath, toolDef) {
-    // Handle name collisions by prefixing with category
-    const parts = toolPath.split('.');
-    const category = parts[0];
-    const toolName = parts[parts.length - 1];
-    // Use category prefix to avoid collisions
-    const safeName = parts.length > 2 ? `${category}_${toolName}` : toolName;
+function frontmatterVersion(parsed) {
+    const version = parsed.data.version;
+    if (version === undefined) {
+        return 'latest';
+    }
+    if (typeof version === 'number') {
+        const raw = parsed.matter.match(/^version:[ \t]*([^\s#'"]+)/m);
+        if (raw)
+            return raw[1];
+    }
+    return String(version);
+}
+/**
+ * Parse a SKILL.md, or reuse the result from an earlier load if the file is unchanged.
+ * Composition assigns to skill fields, so each load gets its own copy of the parsed skill.
+ */
+function loadSkillFile(ctx, skillMdPath, categoryParts) {
+    const stat = fs.statSync(skillMdPath);
+    const stamp = [ctx.root.layer, ctx.root.realDir, categoryParts.join('.'), stat.mtimeMs, stat.size].join('|');
+    ctx.parsed.add(skillMdPath);
+    let entry = parsedSkillFiles.get(skillMdPath);
+    if (entry && entry.stamp === stamp) {
+        ctx.diagnostics.push(...entry.diagnostics);
+    }
+    else {
+        const local = { ...ctx, diagnostics: [] };
+        entry = { stamp, skill: parseSkillFile(local, skillMdPath, categoryParts), diagnostics: local.diagnostics };
+        parsedSkillFiles.set(skillMdPath, entry);
+        ctx.diagnostics.push(...entry.diagnostics);
+    }
+    return entry.skill ? { ...entry.skill } : null;
+}
+/**
+ * Parse a skill's composed content as a template
+ * Content templating is opt-in: only skills that declare parameters are parsed
+ */
+function prepareTemplate(ctx, skill) {
+    if (Object.keys(skill.parameters || {}).length === 0) {
+        return true;
+    }
+    try {
+        skill.template = parseTemplate(skill.content);
+    }
+    catch (error) {
+        addDiagnostic(ctx, { severity: 'error', file: skill.path, field: 'content', message: `invalid template: ${error.message}` });
+        return false;
+    }
+    for (const name of templateNames(skill.template)) {
+        if (name !== 'query' && !(name in skill.parameters)) {
+            addDiagnostic(ctx, { severity: 'warning', file: skill.path, field: 'content', message: `placeholder '${name}' is not a declared parameter` });
+        }
+    }
+    return true;
+}
+/**
+ * Split a version string into numeric semver parts and an optional prerelease tag
+ * Returns null for versions that are not semver-like
+ */
+function parseVersion(version) {
+    const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([\w.-]+))?$/.exec(version);
+    if (!match) {
+        return null;
+    }
+    return {
+        parts: [match[1], match[2], match[3]].map(part => parseInt(part || '0', 10)),
+        prerelease: match[4]
+    };
+}
+/**
+ * Order two skill versions, newest first.
+ * The implicit 'latest' (no version declared) ranks above everything, then semver
+ * versions by precedence (prereleases below their release), then other strings.
+ */
+function compareVersionsDesc(a, b) {
+    if (a === b)
+        return 0;
+    if (a === 'latest')
+        return -1;
+    if (b === 'latest')
+        return 1;
+    const va = parseVersion(a);
+    const vb = parseVersion(b);
+    if (!va || !vb) {
+        return va ? -1 : vb ? 1 : b.localeCompare(a);
+    }
+    for (let i = 0; i < 3; i++) {
+        if (va.parts[i] !== vb.parts[i])
+            return vb.parts[i] - va.parts[i];
+    }
+    if (va.prerelease === vb.prerelease)
+        return 0;
+    if (!va.prerelease)
+        return -1;
+    if (!vb.prerelease)
+        return 1;
+    return vb.prerelease.localeCompare(va.prerelease);
+}
+/**
+ * Group skills by tool name, each group sorted newest first
+ */
+function groupSkillVersions(skills) {
+    const groups = new Map();
+    for (const skill of skills) {
+        const group = groups.get(skill.toolName) || [];
+        group.push(skill);
+        groups.set(skill.toolName, group);
+    }
+    for (const group of groups.values()) {
+        group.sort((a, b) => compareVersionsDesc(a.version || 'latest', b.version || 'latest'));
+    }
+    return groups;
+}
+/**
+ * Pick a version from a newest-first group. `latest` (or no version) picks the newest
+ * release, skipping prereleases unless there is nothing else; a partial version such
+ * as `1` or `1.2` picks the newest matching release.
+ */
+function selectSkillVersion(group, version) {
+    if (!version || version === 'latest') {
+        return group.find(skill => !parseVersion(skill.version || '')?.prerelease) || group[0];
+    }
+    const exact = group.find(skill => skill.version === version || skill.version === version.replace(/^v/, ''));
+    if (exact) {
+        return exact;
+    }
+    const wanted = /^v?\d+(\.\d+)*$/.test(version) ? version.replace(/^v/, '').split('.').map(Number) : null;
+    if (!wanted) {
+        return undefined;
+    }
+    return group.find(skill => {
+        const parsed = parseVersion(skill.version || '');
+        return !!parsed && !parsed.prerelease && wanted.every((part, i) => parsed.parts[i] === part);
+    });
+}
+/**
+ * Resolve a skill reference: `tool.name`, `tool.name@version` or `skill_id@version`
+ */
+function findSkillRef(groups, ref) {
+    const at = ref.lastIndexOf('@');
+    const name = at > 0 ? ref.slice(0, at) : ref;
+    const version = at > 0 ? ref.slice(at + 1) : undefined;
+    let group = groups.get(name);
+    if (!group) {
+        // Fall back to the frontmatter skill_id, then the plain name
+        for (const candidates of groups.values()) {
+            if (candidates.some(skill => skill.skill_id === name) || candidates.some(skill => skill.name === name)) {
+                group = candidates;
+                break;
+            }
+        }
+    }
+    return group ? selectSkillVersion(group, version) : undefined;
+}
+/**
+ * Translate an MCP tool name or alias (optionally with @version) back to a skill reference
+ */
+function toToolRef(index, name) {
+    const at = name.lastIndexOf('@');
+    const base = at > 0 ? name.slice(0, at) : name;
+    return index.get(name) || (index.get(base) ? index.get(base) + name.slice(base.length) : name);
+}
+/**
+ * Look up a loaded skill by reference, e.g. 'devops.k8s' or 'devops.k8s@1.2.0'
+ * Throws when the skill exists but the requested version does not
+ */
+function resolveSkillRef(name) {
+    const ref = toToolRef(toolNameIndex, name);
+    const at = ref.lastIndexOf('@');
+    const skill = findSkillRef(skillVersions, ref);
+    if (!skill && at > 0) {
+        const latest = findSkillRef(skillVersions, ref.slice(0, at));
+        if (latest) {
+            const available = (skillVersions.get(latest.toolName) || []).map(s => s.version).join(', ');
+            throw new Error(`Skill '${latest.toolName}' has no version '${ref.slice(at + 1)}' (available: ${available})`);
+        }
+    }
+    return skill;
+}
+/**
+ * Turn a skill name into a valid MCP tool name: lowercase, [a-z0-9_-] only,
+ * at most 64 characters (long names keep a short hash suffix to stay distinct)
+ */
+function normalizeToolName(name) {
+    let normalized = name.toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '_')
+        .replace(/_+/g, '_')
+        .replace(/^[_-]+|[_-]+$/g, '') || 'skill';
+    return capToolName(normalized, name);
+}
+/**
+ * Shorten a tool name over the length limit, keeping it unique with a hash of its source
+ */
+function capToolName(name, source) {
+    if (name.length <= MAX_TOOL_NAME_LENGTH)
+        return name;
+    const hash = crypto.createHash('sha1').update(source).digest('hex').slice(0, 6);
+    return `${name.slice(0, MAX_TOOL_NAME_LENGTH - 7)}_${hash}`;
+}
+/**
+ * MCP tool name for one specific version of a skill
+ */
+function versionToolName(skill) {
+    const version = normalizeToolName(skill.version || 'latest');
+    return capToolName(`${skill.mcpName}_v${version}`, `${skill.mcpName}@${version}`);
+}
+/**
+ * Assign MCP tool names and aliases to every skill and rebuild the reverse index.
+ * Names that collide after normalization get a numeric suffix; alias clashes are dropped.
+ */
+function assignToolNames(ctx, versions) {
+    const index = new Map();
+    for (const tool of getSkillLibraryTools())
+        index.set(tool.name, '');
+    for (const name of LAZY_MCP_TOOL_NAMES)
+        index.set(name, '');
+    const claim = (base, ref) => {
+        let name = base;
+        for (let n = 2; index.has(name); n++) {
+            const suffix = `_${n}`;
+            name = `${base.slice(0, MAX_TOOL_NAME_LENGTH - suffix.length)}${suffix}`;
+        }
+        index.set(name, ref);
+        return name;
+    };
+    const toolNames = [...versions.keys()].sort();
+    for (const toolName of toolNames) {
+        const group = versions.get(toolName);
+        const base = normalizeToolName(toolName);
+        const mcpName = claim(base, toolName);
+        if (mcpName !== base) {
+            addDiagnostic(ctx, { severity: 'warning', file: group[0].path, field: 'name', message: `tool name '${base}' is taken, exposed as '${mcpName}'` });
+        }
+        for (const skill of group) {
+            skill.mcpName = mcpName;
+            // Each version is also callable by its own tool name, e.g. deploy_v1_0_0
+            const versionName = versionToolName(skill);
+            if (!index.has(versionName)) {
+                index.set(versionName, `${toolName}@${skill.version}`);
+            }
+        }
+    }
+    // Aliases come second so they never take a skill's own name
+    for (const toolName of toolNames) {
+        const group = versions.get(toolName);
+        const declared = group[0].frontmatter.aliases || [];
+        const aliases = [];
+        for (const alias of declared) {
+            const name = normalizeToolName(alias);
+            if (index.has(name) && index.get(name) !== toolName) {
+                addDiagnostic(ctx, { severity: 'warning', file: group[0].path, field: 'aliases', message: `alias '${alias}' clashes with another tool name, ignoring` });
+                continue;
+            }
+            index.set(name, toolName);
+            if (name !== group[0].mcpName && !aliases.includes(name)) {
+                aliases.push(name);
+            }
+        }
+        for (const skill of group) {
+            skill.aliases = aliases;
+        }
+    }
+    return index;
+}
+/**
+ * Resolve each skill's `related` references to callable tool names.
+ * References to skills that are not loaded are reported and left out; references
+ * to skills hidden by the active profile are left out silently.
+ */
+function resolveRelatedSkills(ctx, versions, index, hidden) {
+    for (const group of versions.values()) {
+        for (const skill of group) {
+            const related = [];
+            for (const ref of (skill.frontmatter.related || [])) {
+                const target = findSkillRef(versions, toToolRef(index, ref));
+                if (!target && findSkillRef(hidden, ref)) {
+                    // Loaded but hidden by the active profile
+                    continue;
+                }
+                if (!target) {
+                    addDiagnostic(ctx, { severity: 'warning', file: skill.path, field: 'related', message: `related skill '${ref}' is not loaded` });
+                    continue;
+                }
+                // Older versions are called by their own tool name, e.g. deploy_v1_0_0, or as name@version
+                const latest = selectSkillVersion(versions.get(target.toolName));
+                const versionName = versionToolName(target);
+                const name = target === latest ? target.mcpName
+                    : index.get(versionName) === `${target.toolName}@${target.version}` ? versionName : `${target.mcpName}@${target.version}`;
+                if (target !== skill && !related.includes(name))
+                    related.push(name);
+            }
+            skill.related = related;
+        }
+    }
+}
+/**
+ * Replace the include tags in markdown, leaving fenced code blocks and code spans alone.
+ * An escaped tag (`\{{> name}}`) is unescaped to a literal `{{> name}}` instead.
+ */
+function replaceIncludeTags(text, replace) {
+    const replaceInProse = (prose) => prose.replace(INCLUDE_PATTERN, (match, ticks, escape, target) => {
+        if (ticks)
+            return match;
+        if (escape)
+            return match.slice(1);
+        return replace(match, target);
+    });
+    const out = [];
+    let prose = [];
+    let fence = null;
+    for (const line of text.split('\n')) {
+        const fenceMatch = FENCE_PATTERN.exec(line);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1].startsWith(fence))
+                fence = null;
+            out.push(line);
+        }
+        else if (fenceMatch) {
+            if (prose.length > 0)
+                out.push(replaceInProse(prose.join('\n')));
+            prose = [];
+            fence = fenceMatch[1];
+            out.push(line);
+        }
+        else {
+            prose.push(line);
+        }
+    }
+    if (prose.length > 0)
+        out.push(replaceInProse(prose.join('\n')));
+    return out.join('\n');
+}
+/**
+ * Resolve `extends` and `{{> ...}}` includes across the loaded skills.
+ * Skills with unknown targets or composition cycles are reported and dropped.
+ */
+function composeSkills(skills, diagnostics) {
+    const ctx = { diagnostics };
+    const groups = groupSkillVersions(skills);
+    const state = new Map();
+    const lookup = (ref) => findSkillRef(groups, ref);
+    // Expand includes in text belonging to `owner`; `chain` is the current resolution path
+    const expandIncludes = (owner, text, chain) => {
+        let failed = false;
+        const expanded = replaceIncludeTags(text, (tag, target) => {
+            if (failed)
+                return tag;
+            if (target.endsWith('.md')) {
+                // Shared fragment, relative to the skill root
+                const resolved = path.resolve(owner.root, target);
+                const fragmentPath = fs.existsSync(resolved) ? fs.realpathSync(resolved) : resolved;
+                const key = `file:${fragmentPath}`;
+                if (!fragmentPath.startsWith(owner.root + path.sep) || !fs.existsSync(fragmentPath)) {
+                    addDiagnostic(ctx, { severity: 'error', file: owner.path, field: 'content', message: `included fragment '${target}' not found in ${owner.root}` });
+                    failed = true;
+                    return tag;
+                }
+                if (chain.includes(key)) {
+                    addDiagnostic(ctx, { severity: 'error', file: owner.path, field: 'content', message: `include cycle: ${[...chain, key].join(' -> ')}` });
+                    failed = true;
+                    return tag;
+                }
+                const fragment = expandIncludes(owner, fs.readFileSync(fragmentPath, 'utf-8'), [...chain, key]);
+                if (fragment === null) {
+                    failed = true;
+                    return tag;
+                }
+                return fragment.trim();
+            }
+            const included = lookup(target);
+            if (!included) {
+                addDiagnostic(ctx, { severity: 'error', file: owner.path, field: 'content', message: `included skill '${target}' not found` });
+                failed = true;
+                return tag;
+            }
+            if (!resolve(included, chain)) {
+                addDiagnostic(ctx, { severity: 'error', file: owner.path, field: 'content', message: `included skill '${target}' failed to load` });
+                failed = true;
+                return tag;
+            }
+            return included.content.trim();
+        });
+        return failed ? null : expanded;
+    };
+    const resolve = (skill, chain) => {
+        const status = state.get(skill);
+        if (status === 'done')
+            return true;
+        if (status === 'failed')
+            return false;
+        if (status === 'resolving') {
+            addDiagnostic(ctx, { severity: 'error', file: skill.path, message: `composition cycle: ${[...chain, `${skill.toolName}@${skill.version}`].join(' -> ')}` });
+            return false;
+        }
+        state.set(skill, 'resolving');
+        const nextChain = [...chain, `${skill.toolName}@${skill.version}`];
+        let ok = true;
+        const parentName = skill.frontmatter.extends;
+        if (parentName !== undefined) {
+            const parent = lookup(parentName);
+            if (!parent || parent === skill) {
+                addDiagnostic(ctx, { severity: 'error', file: skill.path, field: 'extends', message: `parent skill '${parentName}' not found` });
+                ok = false;
+            }
+            else if (!resolve(parent, nextChain)) {
+                addDiagnostic(ctx, { severity: 'error', file: skill.path, field: 'extends', message: `parent skill '${parentName}' failed to load` });
+                ok = false;
+            }
+            else {
+                for (const field of INHERITED_FIELDS) {
+                    if (skill.frontmatter[field] === undefined) {
+                        skill[field] = parent[field];
+                    }
+                }
+                skill.parameters = { ...parent.parameters, ...skill.parameters };
+                skill.content = `${parent.content.trimEnd()}\n\n${skill.content.trimStart()}`;
+            }
+        }
+        if (ok) {
+            const expanded = expandIncludes(skill, skill.content, nextChain);
+            if (expanded === null) {
+                ok = false;
+            }
+            else {
+                skill.content = expanded;
+            }
+        }
+        ok = ok && prepareTemplate(ctx, skill);
+        state.set(skill, ok ? 'done' : 'failed');
+        return ok;
+    };
+    return skills.filter(skill => resolve(skill, []));
+}
+/**
+ * Recursively walk a category folder and collect the skills below it.
+ * A folder containing SKILL.md is a skill (its subfolders are not walked);
+ * any other folder is treated as a category and descended into.
+ */
+function collectSkills(ctx, dir, categoryParts) {
+    // Guard against symlink loops and runaway nesting
+    if (categoryParts.length > MAX_SKILL_DEPTH) {
+        addDiagnostic(ctx, { severity: 'warning', file: dir, message: `category nesting exceeds max depth ${MAX_SKILL_DEPTH}, skipping` });
+        return;
+    }
+    const realDir = fs.realpathSync(dir);
+    if (ctx.visited.has(realDir)) {
+        return;
+    }
+    ctx.visited.add(realDir);
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory() || dirent.isSymbolicLink())
+        .map(dirent => dirent.name)
+        .sort();
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry);
+        // Validate directory name to prevent directory traversal
+        if (!isSafeDirName(entry)) {
+            addDiagnostic(ctx, { severity: 'warning', file: entryPath, message: 'invalid skill directory name, skipping' });
+            continue;
+        }
+        try {
+            if (!fs.statSync(entryPath).isDirectory()) {
+                continue;
+            }
+            // Symlinked folders must still resolve inside the skill root
+            const realEntry = fs.realpathSync(entryPath);
+            if (realEntry !== ctx.root.realDir && !realEntry.startsWith(ctx.root.realDir + path.sep)) {
+                addDiagnostic(ctx, { severity: 'warning', file: entryPath, message: `resolves outside ${ctx.root.dir}, skipping` });
+                continue;
+            }
+            const skillMdPath = path.join(entryPath, 'SKILL.md');
+            if (fs.existsSync(skillMdPath)) {
+                const skill = loadSkillFile(ctx, skillMdPath, categoryParts);
+                if (skill) {
+                    ctx.skills.push(skill);
+                }
+            }
+            else {
+                // No SKILL.md: treat as a category folder
+                collectSkills(ctx, entryPath, [...categoryParts, entry]);
+            }
+        }
+        catch (error) {
+            addDiagnostic(ctx, { severity: 'error', file: entryPath, message: `failed to load: ${error.message}` });
+        }
+    }
+}
+/**
+ * Resolve same-name collisions within one layer according to DUPLICATE_POLICY.
+ * Every collision is reported as a diagnostic naming the kept and dropped copies.
+ */
+function resolveDuplicateSkills(ctx, skills) {
+    const reserved = new Set([...getSkillLibraryTools().map(tool => tool.name), ...LAZY_MCP_TOOL_NAMES]);
+    const groups = new Map();
+    for (const skill of skills) {
+        if (reserved.has(skill.toolName)) {
+            addDiagnostic(ctx, { severity: 'error', file: skill.path, field: 'name', message: `'${skill.toolName}' is reserved for a built-in tool` });
+            continue;
+        }
+        const key = `${skill.toolName}@${skill.version}`;
+        groups.set(key, [...(groups.get(key) || []), skill]);
+    }
+    const kept = [];
+    for (const [key, group] of groups) {
+        if (group.length === 1) {
+            kept.push(group[0]);
+            continue;
+        }
+        const copies = group.map(skill => skill.path).join(', ');
+        if (DUPLICATE_POLICY === 'error') {
+            for (const skill of group) {
+                addDiagnostic(ctx, { severity: 'error', file: skill.path, field: 'name', message: `duplicate skill '${key}' (${copies}); no copy is loaded` });
+            }
+            continue;
+        }
+        const [winner, ...losers] = [...group].sort((a, b) => b.priority - a.priority || (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+        kept.push(winner);
+        for (const loser of losers) {
+            addDiagnostic(ctx, { severity: 'warning', file: loser.path, field: 'name', message: `duplicate skill '${key}' ignored in favour of ${winner.path}` });
+        }
+    }
+    return kept;
+}
+/**
+ * Read a command line option given as `--name value` or `--name=value`
+ */
+function getCliOption(name) {
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === `--${name}`)
+            return args[i + 1];
+        if (args[i].startsWith(`--${name}=`))
+            return args[i].slice(name.length + 3);
+    }
+    return undefined;
+}
+/**
+ * Load the profile named by --profile or SKILLS_PROFILE from SKILLS_PROFILES_FILE
+ * Throws when the file is unreadable or invalid, or the profile is not defined
+ */
+function loadActiveProfile() {
+    const name = getCliOption('profile') || process.env.SKILLS_PROFILE;
+    if (!name) {
+        return null;
+    }
+    let profiles;
+    try {
+        profiles = JSON.parse(fs.readFileSync(SKILLS_PROFILES_FILE, 'utf-8')).profiles;
+    }
+    catch (error) {
+        throw new Error(`Cannot read skill profiles from ${SKILLS_PROFILES_FILE}: ${error.message}`);
+    }
+    if (describeType(profiles) !== 'object') {
+        throw new Error(`Skill profiles file ${SKILLS_PROFILES_FILE} must have a "profiles" object`);
+    }
+    const profile = profiles[name];
+    if (describeType(profile) !== 'object') {
+        throw new Error(`Unknown skill profile '${name}' (available: ${Object.keys(profiles).join(', ') || 'none'})`);
+    }
+    for (const rule of ['include', 'exclude']) {
+        if (profile[rule] === undefined)
+            continue;
+        if (describeType(profile[rule]) !== 'object') {
+            throw new Error(`Skill profile '${name}': ${rule} must be an object of names, tags and categories`);
+        }
+        for (const [key, values] of Object.entries(profile[rule])) {
+            if (!['names', 'tags', 'categories'].includes(key) || !Array.isArray(values) || values.some(v => typeof v !== 'string')) {
+                throw new Error(`Skill profile '${name}': ${rule}.${key} must be one of names, tags, categories, as a list of strings`);
+            }
+        }
+    }
+    return { name, include: profile.include, exclude: profile.exclude };
+}
+/**
+ * Match a name against a glob where `*` is any run of characters and `?` one character
+ */
+function matchesGlob(value, glob) {
+    const pattern = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${pattern}$`, 'i').test(value);
+}
+/**
+ * Check a skill against a profile rule; name globs match the skill name or its namespaced name
+ */
+function matchesSelector(skill, selector) {
+    return (selector.names || []).some(glob => matchesGlob(skill.name, glob) || matchesGlob(skill.toolName, glob)) ||
+        (selector.tags || []).some(tag => skill.tags.includes(tag.toLowerCase())) ||
+        (selector.categories || []).some(category => skill.category === category || skill.category.startsWith(`${category}.`));
+}
+/**
+ * Decide whether the active profile exposes a skill
+ */
+function isSkillExposed(skill) {
+    if (!activeProfile)
+        return true;
+    if (activeProfile.include && !matchesSelector(skill, activeProfile.include))
+        return false;
+    return !(activeProfile.exclude && matchesSelector(skill, activeProfile.exclude));
+}
+/**
+ * Walk one skill root, or reuse its last walk when it is watched and none of the changed paths is inside it
+ */
+function collectRoot(root, changed) {
+    const dir = path.resolve(root.dir);
+    const key = `${root.layer}|${dir}`;
+    const previous = collectedRoots.get(key);
+    if (previous && skillWatchers.has(root.dir) && !changed.some(file => file === dir || file.startsWith(dir + path.sep))) {
+        return previous;
+    }
+    const ctx = { root, skills: [], diagnostics: [], visited: new Set(), parsed: new Set() };
+    collectSkills(ctx, root.dir, []);
+    const collected = { skills: resolveDuplicateSkills(ctx, ctx.skills), diagnostics: ctx.diagnostics, parsed: [...ctx.parsed] };
+    collectedRoots.set(key, collected);
+    return collected;
+}
+/**
+ * Load and parse all skills from every layer of the skill search path.
+ * A skill in a higher-precedence layer shadows a skill with the same tool name below it;
+ * versions of one skill within a layer are kept side by side.
+ * Returns the latest version of each skill.
+ */
+async function loadSkills() {
+    const now = Date.now();
+    const roots = getSkillRoots();
+    // Return cached skills if still fresh; while every root is watched, the cache lasts until a change is seen
+    const watched = roots.every(root => skillWatchers.has(root.dir));
+    if (skillsCache.length > 0 && ((watched && lastCacheTime > 0) || (now - lastCacheTime) < CACHE_DURATION)) {
+        return skillsCache;
+    }
+    const skills = [];
+    const changed = [...pendingChanges];
+    pendingChanges.clear();
+    const shadowed = [];
+    const diagnostics = [];
+    const parsed = new Set();
+    // Check if the user skills directory exists, create if not
+    if (!fs.existsSync(SKILLS_DIR)) {
+        try {
+            fs.mkdirSync(SKILLS_DIR, { recursive: true });
+            logger.info(`Created skills directory: ${SKILLS_DIR}`);
+        }
+        catch (error) {
+            logger.error(`Failed to create skills directory: ${SKILLS_DIR}`, error);
+        }
+    }
+    for (const root of roots) {
+        if (!fs.existsSync(root.dir)) {
+            continue;
+        }
+        try {
+            root.realDir = fs.realpathSync(root.dir);
+            const collected = collectRoot(root, changed);
+            diagnostics.push(...collected.diagnostics);
+            collected.parsed.forEach(file => parsed.add(file));
+            // Copies, since composition assigns to skill fields
+            for (const skill of collected.skills.map(skill => ({ ...skill }))) {
+                const active = skills.find(s => s.toolName === skill.toolName && s.layer !== skill.layer);
+                if (active) {
+                    shadowed.push({
+                        toolName: skill.toolName,
+                        active: { layer: active.layer, path: active.path },
+                        shadowed: { layer: skill.layer, path: skill.path }
+                    });
+                    logger.warn(`Skill ${skill.toolName} in ${skill.layer} layer (${skill.path}) is shadowed by ${active.layer} layer (${active.path})`);
+                    continue;
+                }
+                skills.push(skill);
+            }
+        }
+        catch (error) {
+            logger.error(`Error loading skills directory ${root.dir}`, error);
+        }
+    }
+    // Forget removed skills
+    for (const file of parsedSkillFiles.keys()) {
+        if (!parsed.has(file))
+            parsedSkillFiles.delete(file);
+    }
+    const composed = composeSkills(skills, diagnostics);
+    // The active profile hides skills from listing and calls; composition above still sees them
+    const exposed = composed.filter(isSkillExposed);
+    const hidden = groupSkillVersions(composed.filter(skill => !isSkillExposed(skill)));
+    const versions = groupSkillVersions(exposed);
+    const latest = [...versions.values()].map(group => selectSkillVersion(group));
+    const index = assignToolNames({ diagnostics }, versions);
+    resolveRelatedSkills({ diagnostics }, versions, index, hidden);
+    // Update cache: skillsCache holds the latest version of each skill
+    skillsCache = latest;
+    skillVersions = versions;
+    toolNameIndex = index;
+    skillRoots = roots;
+    shadowedSkills = shadowed;
+    skillDiagnostics = diagnostics;
+    lastCacheTime = now;
+    refreshSearchIndex(latest);
+    // Roots created since startup are watched from now on
+    if (watchingSkills && !watched) {
+        watchSkillRoots();
+    }
+    logger.info(`Loaded ${latest.length} skills (${exposed.length} versions) from ${roots.map(r => r.dir).join(path.delimiter)}${activeProfile ? `, ${composed.length - exposed.length} hidden by profile '${activeProfile.name}'` : ''}`);
+    return latest;
+}
+/**
+ * Guess a MIME type from a file extension
+ */
+function getMimeType(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+/**
+ * Detect binary content: a NUL byte in the first 8 KB or invalid UTF-8
+ */
+function isBinaryBuffer(buffer) {
+    if (buffer.subarray(0, 8192).includes(0)) {
+        return true;
+    }
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return false;
+    }
+    catch {
+        return true;
+    }
+}
+/**
+ * Resolve a path relative to a skill folder, refusing anything outside it
+ */
+function resolveSkillFile(skill, relPath) {
+    if (!relPath || path.isAbsolute(relPath) || relPath.split(/[\\/]/).includes('..')) {
+        throw new Error(`Invalid file path '${relPath}': must be relative to the skill folder`);
+    }
+    const realSkillDir = fs.realpathSync(skill.dir);
+    const filePath = path.resolve(skill.dir, relPath);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`File '${relPath}' not found in skill '${skill.toolName}'`);
+    }
+    // Symlinks must not lead outside the skill folder
+    const realFile = fs.realpathSync(filePath);
+    if (!realFile.startsWith(realSkillDir + path.sep)) {
+        throw new Error(`File '${relPath}' resolves outside skill '${skill.toolName}'`);
+    }
+    if (!fs.statSync(realFile).isFile()) {
+        throw new Error(`'${relPath}' in skill '${skill.toolName}' is not a file`);
+    }
+    return realFile;
+}
+/**
+ * List the files bundled in a skill folder, relative to it
+ */
+function listSkillFiles(skill) {
+    const files = [];
+    const realSkillDir = fs.realpathSync(skill.dir);
+    const walk = (dir, relDir) => {
+        const entries = fs.readdirSync(dir, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            if (files.length >= MAX_SKILL_FILE_ENTRIES) {
+                return;
+            }
+            const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+            const fullPath = path.join(dir, entry.name);
+            try {
+                const realPath = fs.realpathSync(fullPath);
+                if (!realPath.startsWith(realSkillDir + path.sep)) {
+                    continue;
+                }
+                const stat = fs.statSync(realPath);
+                if (stat.isDirectory()) {
+                    // Symlinked directories are not followed to avoid cycles
+                    if (!entry.isSymbolicLink()) {
+                        walk(fullPath, relPath);
+                    }
+                }
+                else if (stat.isFile()) {
+                    files.push({ path: relPath, size: stat.size, mimeType: getMimeType(relPath) });
+                }
+            }
+            catch (error) {
+                logger.warn(`Skipping unreadable file ${relPath} in skill ${skill.toolName}`);
+            }
+        }
+    };
+    walk(skill.dir, '');
+    return files;
+}
+/**
+ * Read a bundled skill file as MCP tool content
+ * Text files are returned as text, images inline, other binaries as a summary only
+ */
+function readSkillFile(skill, relPath) {
+    const filePath = resolveSkillFile(skill, relPath);
+    const size = fs.statSync(filePath).size;
+    const mimeType = getMimeType(relPath);
+    if (size > MAX_SKILL_FILE_BYTES) {
+        throw new Error(`File '${relPath}' is ${size} bytes, over the ${MAX_SKILL_FILE_BYTES} byte limit`);
+    }
+    const buffer = fs.readFileSync(filePath);
+    if (!isBinaryBuffer(buffer)) {
+        return [{ type: "text", text: buffer.toString('utf-8') }];
+    }
+    if (mimeType.startsWith('image/')) {
+        return [{ type: "image", data: buffer.toString('base64'), mimeType }];
+    }
+    return [{
+            type: "text",
+            text: `Binary file '${relPath}' (${mimeType}, ${size} bytes) cannot be returned as text.`
+        }];
+}
+/**
+ * Ensure lazy-mcp client is connected
+ */
+async function ensureLazyMCPConnection() {
+    // Check environment variable dynamically on each call
+    if (!getLazyMCPEnabled()) {
+        // If disabled, ensure client is disconnected and cache is cleared
+        if (lazyMCPClient) {
+            try {
+                await lazyMCPClient.close();
+            }
+            catch (error) {
+                // Ignore close errors
+            }
+            lazyMCPClient = null;
+        }
+        // Clear the tools cache when disabled
+        lazyMCPToolsCache = [];
+        lazyMCPCategoryCache = new Map();
+        return false;
+    }
+    if (!lazyMCPClient) {
+        try {
+            lazyMCPClient = new Client({
+                name: "skills-server-lazy-mcp-client",
+                version: "0.1.0",
+            }, {
+                capabilities: {},
+            });
+            const transport = new StdioClientTransport({
+                command: LAZY_MCP_COMMAND,
+                args: [],
+            });
+            await lazyMCPClient.connect(transport);
+            logger.info('Connected to lazy-mcp successfully');
+            return true;
+        }
+        catch (error) {
+            logger.error('Failed to connect to lazy-mcp', error);
+            lazyMCPClient = null;
+            return false;
+        }
+    }
+    return true;
+}
+/**
+ * Scan lazy-mcp hierarchy and create traditional MCP tools
+ */
+async function scanLazyMCPHierarchy(path = "") {
+    const tools = [];
+    try {
+        const result = await lazyMCPClient.callTool({
+            name: "get_tools_in_category",
+            arguments: { path }
+        });
+        // Extract the actual data from MCP response
+        let responseData = null;
+        if (result.content && result.content.length > 0) {
+            const content = result.content[0];
+            if (content.type === 'text') {
+                responseData = JSON.parse(content.text);
+            }
+        }
+        if (!responseData)
+            return tools;
+        // Process leaf tools at this level
+        if (responseData.tools) {
+            for (const [toolName, toolDef] of Object.entries(responseData.tools)) {
+                const fullPath = path ? `${path}.${toolName}` : toolName;
+                tools.push(createTraditionalTool(fullPath, toolDef));
+            }
+        }
+        // Process children recursively - but only for universal, non-database categories
+        if (responseData.children) {
+            for (const childPath in responseData.children) {
+                const child = responseData.children[childPath];
+                // Only include universal categories that don't require specific databases
+                const universalCategories = [
+                    'brave-search', 'playwright', 'puppeteer', 'filesystem',
+                    'desktop-commander', 'memory', 'youtube', 'fuse-optimizer',
+                    'brave-search-marketplace', 'playwright-marketplace', 'puppeteer-marketplace', 'whatsapp-mcp'
+                ];
+                if (universalCategories.includes(childPath)) {
+                    const childTools = await scanLazyMCPHierarchy(childPath);
+                    tools.push(...childTools);
+                }
+            }
+        }
+    }
+    catch (error) {
+        logger.error(`Error scanning lazy-mcp hierarchy at path ${path}`, error);
+    }
+    return tools;
+}
+/**
+ * List one lazy-mcp category as full dot paths of its child categories and tools,
+ * cached for LAZY_MCP_CACHE_DURATION
+ */
+async function getLazyMCPCategory(path) {
+    const cached = lazyMCPCategoryCache.get(path);
+    if (cached && Date.now() - cached.time < LAZY_MCP_CACHE_DURATION) {
+        return cached;
+    }
+    if (!(await ensureLazyMCPConnection())) {
+        return null;
+    }
+    try {
+        const result = await lazyMCPClient.callTool({
+            name: "get_tools_in_category",
+            arguments: { path }
+        });
+        const content = result.content?.[0];
+        const responseData = content?.type === 'text' ? JSON.parse(content.text) : null;
+        if (!responseData)
+            return null;
+        // Child keys may be full paths or names relative to this category
+        const fullPath = (key) => !path || key.startsWith(`${path}.`) ? key : `${path}.${key}`;
+        const listing = {
+            categories: Object.keys(responseData.children || {}).map(fullPath),
+            tools: Object.keys(responseData.tools || {}).map(name => path ? `${path}.${name}` : name),
+            time: Date.now()
+        };
+        lazyMCPCategoryCache.set(path, listing);
+        return listing;
+    }
+    catch (error) {
+        logger.error(`Error listing lazy-mcp category ${path || '(root)'}`, error);
+        return null;
+    }
+}
+/**
+ * Parse a lazy-mcp:// URI into a category path (empty for the root) or a tool path
+ */
+function parseLazyMCPResourceUri(uri) {
+    if (!uri.startsWith(LAZY_MCP_URI_SCHEME))
+        return null;
+    const rest = uri.slice(LAZY_MCP_URI_SCHEME.length);
+    const slash = rest.indexOf('/');
+    const kind = rest.slice(0, slash);
+    if (slash < 0 || (kind !== 'category' && kind !== 'tool'))
+        return null;
+    try {
+        const path = decodeURIComponent(rest.slice(slash + 1));
+        return kind === 'tool' && !path ? null : { kind, path };
+    }
+    catch {
+        // Malformed percent-encoding
+        return null;
+    }
+}
+/**
+ * Read a lazy-mcp category listing, or one tool's definition from its category listing
+ */
+async function readLazyMCPResource(uri, parsed) {
+    const { kind, path } = parsed;
+    const category = kind === 'tool' ? (path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '') : path;
+    if (!(await ensureLazyMCPConnection())) {
+        throw new Error(`Resource '${uri}' not found: lazy-mcp is not available`);
+    }
+    const result = await lazyMCPClient.callTool({
+        name: "get_tools_in_category",
+        arguments: { path: category }
+    });
+    const content = result.content?.[0];
+    const listing = content?.type === 'text' ? JSON.parse(content.text) : null;
+    const data = kind === 'tool' ? listing?.tools?.[path.slice(path.lastIndexOf('.') + 1)] : listing;
+    if (!data) {
+        throw new Error(`Resource '${uri}' not found: no lazy-mcp ${kind} '${path}'`);
+    }
+    return { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) };
+}
+/**
+ * Create traditional MCP tool from lazy-mcp tool definition
+ */
+function createTraditionalTool(toolPath, toolDef) {
+    // Handle name collisions by prefixing with category
+    const parts = toolPath.split('.');
+    const category = parts[0];
+    const toolName = parts[parts.length - 1];
+    // Use category prefix to avoid collisions
+    const safeName = parts.length > 2 ? `${category}_${toolName}` : toolName;
+    return {
+        name: safeName,
+        tool_path: toolPath,
+        description: toolDef.description || 'No description available',
+        inputSchema: inferInputSchema(toolDef),
+        category: category,
+        source: 'lazy-mcp'
+    };
+}
+/**
+ * Infer input schema from tool definition
+ */
+function inferInputSchema(toolDef) {
+    if (toolDef.inputSchema) {
+        return toolDef.inputSchema;
+    }
+    // Fallback for tools without explicit schema
+    return {
+        type: "object",
+        properties: {
+            input: {
+                type: "string",
+                description: "Input for this tool"
+            }
+        },
+        required: []
+    };
+}
+// Search index fields and their weights: a term in the name counts for more than one in the body
+const SEARCH_FIELD_WEIGHTS = { name: 3, tags: 2, description: 2, when_to_use: 2, body: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SEARCH_SNIPPET_LENGTH = 160;
+// Metadata fields matched by suggest_skills; skill bodies are left out
+const SUGGEST_FIELDS = ['name', 'tags', 'description', 'when_to_use'];
+// Filler words dropped from task descriptions before matching
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'get', 'help', 'how', 'i',
+    'in', 'into', 'is', 'it', 'me', 'my', 'need', 'of', 'on', 'or', 'our', 'please', 'so', 'some', 'that',
+    'the', 'this', 'to', 'up', 'use', 'want', 'we', 'what', 'when', 'with', 'you'
+]);
+// BM25 indexes over the latest version of each skill, rebuilt when the library changes:
+// full text for search_skills, metadata only for suggest_skills
+let searchIndex = null;
+let suggestIndex = null;
+let searchFingerprint = '';
+/**
+ * Split text into lowercase search terms, folding simple plurals
+ */
+function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(term => {
+        if (term.length > 4 && term.endsWith('ies'))
+            return term.slice(0, -3) + 'y';
+        if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss'))
+            return term.slice(0, -1);
+        return term;
+    });
+}
+/**
+ * Text of each indexed field of a skill
+ */
+function searchFieldText(skill, field) {
+    switch (field) {
+        case 'name': return `${skill.name} ${skill.toolName}`;
+        case 'tags': return skill.tags.join(' ');
+        case 'description': return skill.description;
+        case 'when_to_use': return skill.when_to_use || '';
+        case 'body': return skill.content;
+    }
+}
+/**
+ * Build a BM25 index over the given fields of each skill
+ */
+function buildSearchIndex(skills, fieldNames) {
+    const documentFrequency = new Map();
+    const documents = skills.map(skill => {
+        const terms = new Map();
+        const fields = new Map();
+        let length = 0;
+        for (const field of fieldNames) {
+            const fieldTerms = tokenize(searchFieldText(skill, field));
+            for (const term of fieldTerms) {
+                terms.set(term, (terms.get(term) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+                length += SEARCH_FIELD_WEIGHTS[field];
+            }
+            fields.set(field, new Set(fieldTerms));
+        }
+        for (const term of terms.keys()) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+        return { skill, terms, fields, length };
+    });
+    const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
+    return {
+        documents,
+        documentFrequency,
+        averageLength: documents.length > 0 ? totalLength / documents.length : 0
+    };
+}
+/**
+ * Rebuild the search indexes if any indexed field changed since the last build
+ */
+function refreshSearchIndex(skills) {
+    const hash = crypto.createHash('sha1');
+    for (const skill of skills) {
+        hash.update(JSON.stringify([skill.mcpName, skill.name, skill.description, skill.tags, skill.when_to_use, skill.content]));
+    }
+    const fingerprint = hash.digest('hex');
+    if (searchFingerprint === fingerprint) {
+        // Same skills in the same order, but each reload hands out fresh copies
+        for (const index of [searchIndex, suggestIndex]) {
+            index?.documents.forEach((doc, i) => { doc.skill = skills[i]; });
+        }
+        return;
+    }
+    searchIndex = buildSearchIndex(skills, Object.keys(SEARCH_FIELD_WEIGHTS));
+    suggestIndex = buildSearchIndex(skills, SUGGEST_FIELDS);
+    searchFingerprint = fingerprint;
+}
+/**
+ * Score candidate skills against query terms with BM25, best first
+ */
+function rankDocuments(index, terms, candidates, limit) {
+    if (!index || terms.length === 0)
+        return [];
+    const { documents, documentFrequency, averageLength } = index;
+    const allowed = new Set(candidates);
+    return documents
+        .filter(doc => allowed.has(doc.skill))
+        .map(doc => {
+        let score = 0;
+        for (const term of terms) {
+            const tf = doc.terms.get(term);
+            if (!tf)
+                continue;
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+        }
+        return { doc, score: Math.round(score * 1000) / 1000 };
+    })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || a.doc.skill.mcpName.localeCompare(b.doc.skill.mcpName))
+        .slice(0, limit);
+}
+/**
+ * Pick the body line that matches the most query terms, trimmed around the first match
+ * Falls back to the description when only the name or tags matched
+ */
+function searchSnippet(skill, terms) {
+    let best = '';
+    let bestHits = 0;
+    for (const line of skill.content.split('\n')) {
+        const text = line.trim();
+        if (!text || text.startsWith('```'))
+            continue;
+        const lineTerms = new Set(tokenize(text));
+        const hits = terms.filter(term => lineTerms.has(term)).length;
+        if (hits > bestHits) {
+            best = text;
+            bestHits = hits;
+        }
+    }
+    if (!best)
+        best = skill.description;
+    if (best.length <= SEARCH_SNIPPET_LENGTH)
+        return best;
+    const lower = best.toLowerCase();
+    const firstMatch = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0), best.length);
+    const start = firstMatch < best.length ? Math.max(0, firstMatch - 40) : 0;
+    const snippet = best.slice(start, start + SEARCH_SNIPPET_LENGTH);
+    return `${start > 0 ? '…' : ''}${snippet}${start + SEARCH_SNIPPET_LENGTH < best.length ? '…' : ''}`;
+}
+/**
+ * Rank skills against a query with BM25, best first
+ */
+function searchSkills(query, limit, candidates) {
+    const terms = [...new Set(tokenize(query))];
+    return rankDocuments(searchIndex, terms, candidates, limit).map(({ doc, score }) => ({
+        skill: doc.skill,
+        score,
+        snippet: searchSnippet(doc.skill, terms)
+    }));
+}
+/**
+ * Recommend skills for a task description from their metadata, each with a one-line reason
+ */
+function suggestSkills(task, limit, candidates) {
+    const terms = [...new Set(tokenize(task).filter(term => !STOPWORDS.has(term)))];
+    return rankDocuments(suggestIndex, terms, candidates, limit).map(({ doc, score }) => {
+        const matched = terms.filter(term => doc.terms.has(term));
+        const fields = SUGGEST_FIELDS.filter(field => matched.some(term => doc.fields.get(field).has(term)));
+        let reason = `Matches ${matched.map(term => `'${term}'`).join(', ')} in its ${fields.join(', ').replace(/_/g, ' ')}`;
+        if (doc.skill.when_to_use) {
+            reason += `; use when ${doc.skill.when_to_use.replace(/\s+/g, ' ').trim()}`;
+        }
+        if (reason.length > SEARCH_SNIPPET_LENGTH) {
+            reason = `${reason.slice(0, SEARCH_SNIPPET_LENGTH - 1)}…`;
+        }
+        return { skill: doc.skill, score, reason };
+    });
+}
+/**
+ * Build a tool input schema from a skill's declared parameters
+ * Every skill keeps the optional free-text `query` unless it declares its own
+ */
+function buildSkillInputSchema(skill) {
+    const properties = {
+        query: {
+            type: "string",
+            description: "Optional query or context for using this skill"
+        }
+    };
+    const required = [];
+    // Only skills big enough to need reading in parts spend schema tokens on the call options;
+    // every skill accepts them, and get_skill documents them
+    if (estimateTokens(skill.content) > LARGE_SKILL_TOKENS) {
+        Object.assign(properties, SKILL_CALL_OPTION_PROPERTIES);
+    }
+    for (const [name, param] of Object.entries(skill.parameters || {})) {
+        const property = { type: param.type };
+        if (param.description)
+            property.description = param.description;
+        if (param.enum)
+            property.enum = param.enum;
+        if (param.default !== undefined)
+            property.default = param.default;
+        properties[name] = property;
+        if (param.required)
+            required.push(name);
+    }
+    const schema = { type: "object", properties };
+    if (required.length > 0) {
+        schema.required = required;
+    }
+    return schema;
+}
+/**
+ * Check call arguments against a skill's declared parameters
+ * Returns the arguments with defaults applied, or throws naming the offending field
+ */
+function validateSkillArguments(skill, args) {
+    const resolved = { ...args };
+    for (const [name, param] of Object.entries(skill.parameters || {})) {
+        const value = resolved[name];
+        if (value === undefined || value === null) {
+            if (param.default !== undefined) {
+                resolved[name] = param.default;
+            }
+            else if (param.required) {
+                throw new Error(`Invalid arguments for skill '${skill.toolName}': missing required parameter '${name}'`);
+            }
+            continue;
+        }
+        if (!matchesParameterType(value, param.type)) {
+            throw new Error(`Invalid arguments for skill '${skill.toolName}': parameter '${name}' must be of type ${param.type}, got ${describeType(value)}`);
+        }
+        if (param.enum && !param.enum.includes(value)) {
+            throw new Error(`Invalid arguments for skill '${skill.toolName}': parameter '${name}' must be one of ${param.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+    }
+    if (resolved.query !== undefined && !skill.parameters?.query && typeof resolved.query !== 'string') {
+        throw new Error(`Invalid arguments for skill '${skill.toolName}': parameter 'query' must be of type string, got ${describeType(resolved.query)}`);
+    }
+    return resolved;
+}
+/**
+ * Generate dynamic instructions for executable skills
+ */
+function generateDynamicInstructions(skill, params) {
+    const query = params.query || '';
+    const availableTools = skill.allowed_tools || [];
+    let instructions = `# ${skill.name} - Dynamic Execution\n\n`;
+    instructions += `${skill.description}\n\n`;
+    // Add context-aware instructions based on query
+    if (query) {
+        instructions += `## Task Context\n${query}\n\n`;
+    }
+    // Add declared parameter values
+    const declared = Object.keys(skill.parameters || {}).filter(name => name !== 'query' && params[name] !== undefined);
+    if (declared.length > 0) {
+        instructions += `## Parameters\n`;
+        for (const name of declared) {
+            const value = params[name];
+            instructions += `- ${name}: ${typeof value === 'string' ? value : JSON.stringify(value)}\n`;
+        }
+        instructions += `\n`;
+    }
+    // Add tool orchestration instructions
+    if (availableTools.length > 0) {
+        instructions += `## Available Tools\nYou have access to these tools: ${availableTools.join(', ')}\n\n`;
+        instructions += `## Tool Usage Strategy\n`;
+        instructions += `- Analyze the task and select appropriate tools\n`;
+        instructions += `- Use tools in sequence to accomplish the task\n`;
+        instructions += `- Combine tool outputs for comprehensive solutions\n`;
+        instructions += `- Handle errors gracefully and provide alternatives\n\n`;
+    }
+    // Add skill-specific execution logic
+    instructions += `## Execution Instructions\n${renderSkillContent(skill, params)}\n\n`;
+    // Add dynamic behavior based on skill type
+    switch (skill.execution_logic) {
+        case 'conditional':
+            instructions += `## Conditional Logic\n`;
+            instructions += `- Analyze the input and context\n`;
+            instructions += `- Make decisions based on available information\n`;
+            instructions += `- Adapt your approach based on results\n`;
+            break;
+        case 'sequential':
+            instructions += `## Sequential Execution\n`;
+            instructions += `- Follow steps in logical order\n`;
+            instructions += `- Use output from previous steps as input to next\n`;
+            instructions += `- Validate each step before proceeding\n`;
+            break;
+        case 'parallel':
+            instructions += `## Parallel Execution\n`;
+            instructions += `- Execute multiple operations simultaneously\n`;
+            instructions += `- Coordinate results from parallel operations\n`;
+            instructions += `- Handle dependencies between operations\n`;
+            break;
+        default:
+            instructions += `## Standard Execution\n`;
+            instructions += `- Follow the provided instructions systematically\n`;
+            instructions += `- Use available tools as needed\n`;
+            instructions += `- Provide comprehensive solutions\n`;
+    }
+    return instructions;
+}
+/**
+ * Get lazy-mcp's native navigation tools (preserves progressive disclosure)
+ * Instead of flattening 166 tools → Only expose 2 navigation tools
+ * Token savings: ~25,000 tokens → ~500 tokens
+ */
+async function getLazyMCPNavigationTools() {
+    // Ensure connection
+    if (!(await ensureLazyMCPConnection())) {
+        logger.warn('Lazy-MCP not available');
+        return [];
+    }
+    logger.debug('Exposing lazy-mcp native navigation tools (progressive disclosure preserved)');
+    // Return lazy-mcp's native navigation tools as-is
+    // This preserves the hierarchical, token-efficient design
+    return [
+        {
+            name: "lazy_mcp_get_tools_in_category",
+            description: "Browse the lazy-mcp tool hierarchy progressively. You have 166 MCP tools across 15 categories available through progressive disclosure. Use this to explore available tools by category.\n\nCall with empty path \"\" to see root categories (brave-search, desktop-commander, filesystem, github, playwright, etc.).\n\nReturns children categories and tools at the specified path.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    path: {
+                        type: "string",
+                        description: "Category path using dot notation (e.g., 'brave-search' or 'desktop-commander'). Use empty string \"\" for root."
+                    }
+                },
+                required: ["path"]
+            }
+        },
+        {
+            name: "lazy_mcp_execute_tool",
+            description: "Execute a lazy-mcp tool by its full hierarchical path. First use lazy_mcp_get_tools_in_category to browse and find the tool path, then execute it with this tool.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    tool_path: {
+                        type: "string",
+                        description: "Full tool path using dot notation (e.g., 'brave-search.brave_web_search' or 'desktop-commander.read_file')"
+                    },
+                    arguments: {
+                        type: "object",
+                        additionalProperties: true,
+                        description: "Arguments to pass to the tool"
+                    }
+                },
+                required: ["tool_path", "arguments"]
+            }
+        }
+    ];
+}
+/**
+ * Built-in tools for inspecting the skill library itself
+ */
+function getSkillLibraryTools() {
+    // Tag filters accepted by the listing and search tools
+    const tagFilters = {
+        tags: {
+            type: "array",
+            items: { type: "string" },
+            description: "Only skills that have all of these tags"
+        },
+        any_tags: {
+            type: "array",
+            items: { type: "string" },
+            description: "Only skills that have at least one of these tags"
+        },
+        exclude_tags: {
+            type: "array",
+            items: { type: "string" },
+            description: "Leave out skills that have any of these tags"
+        }
+    };
+    return [
+        {
+            name: "list_skill_categories",
+            description: "Browse the skill library by category. Call with empty category \"\" to see top-level categories; returns child categories with skill counts and the skills filed directly in the category.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    category: {
+                        type: "string",
+                        description: "Category path using dot notation (e.g. 'devops' or 'devops.cloud'). Use empty string \"\" for the top level."
+                    },
+                    ...tagFilters
+                }
+            }
+        },
+        {
+            name: "search_skills",
+            description: "Rank skills by relevance to a query across name, tags, description and body. Returns skill names with a score and a matching snippet; use get_skill to load one.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    query: {
+                        type: "string",
+                        description: "Words to look for, e.g. 'postgres backup'"
+                    },
+                    limit: {
+                        type: "integer",
+                        description: "Maximum number of results (default 10)"
+                    },
+                    category: {
+                        type: "string",
+                        description: "Only search this category and its subcategories, e.g. 'devops'"
+                    },
+                    ...tagFilters
+                },
+                required: ["query"]
+            }
+        },
+        {
+            name: "get_skill",
+            description: "Load a skill's full content by name. Use list_skill_categories or search_skills to find skill names.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    skill_name: {
+                        type: "string",
+                        description: "Skill name as returned by list_skill_categories or search_skills, optionally with @version"
+                    },
+                    arguments: {
+                        type: "object",
+                        properties: SKILL_CALL_OPTION_PROPERTIES,
+                        additionalProperties: true,
+                        description: "Arguments for the skill's declared parameters, plus these options for reading a large skill in parts; skill tools accept the same options"
+                    }
+                },
+                required: ["skill_name"]
+            }
+        },
+        {
+            name: "suggest_skills",
+            description: "Recommend skills for a task. Describe the task in plain words; returns the best-matching skills, each with a one-line reason. Call the suggested skill (or get_skill) to load it.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    task: {
+                        type: "string",
+                        description: "What you are trying to do, e.g. 'restore last night's postgres backup'"
+                    },
+                    limit: {
+                        type: "integer",
+                        description: "Maximum number of suggestions (default 5)"
+                    }
+                },
+                required: ["task"]
+            }
+        },
+        {
+            name: "skills_stats",
+            description: "Report how the skill library is used: most and least used skills, skills never used, and calls per day.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    days: {
+                        type: "integer",
+                        description: "Only count calls from the last N days (default: all recorded calls)"
+                    },
+                    limit: {
+                        type: "integer",
+                        description: "Length of the most and least used lists (default 10)"
+                    }
+                }
+            }
+        },
+        {
+            name: "skill_catalog",
+            description: "Show the skill library grouped by category with a count per category. Filter by category and tags to narrow it down, e.g. tags ['database'].",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    category: {
+                        type: "string",
+                        description: "Only include this category and its subcategories, e.g. 'devops'"
+                    },
+                    ...tagFilters
+                }
+            }
+        },
+        {
+            name: "list_skill_layers",
+            description: "Show the skill search path in precedence order (project, user, system) and which skills are shadowed by a same-named skill in a higher layer.",
+            inputSchema: {
+                type: "object",
+                properties: {}
+            }
+        },
+        {
+            name: "skill_diagnostics",
+            description: "Report problems found while loading skills: invalid or missing frontmatter fields, unknown keys and unreadable folders. Skills with errors are not loaded.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    severity: {
+                        type: "string",
+                        enum: ["error", "warning"],
+                        description: "Only return diagnostics of this severity"
+                    }
+                }
+            }
+        },
+        {
+            name: "list_skill_files",
+            description: "List the files bundled with a skill (scripts, reference docs, templates) next to its SKILL.md.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    skill: {
+                        type: "string",
+                        description: "Skill tool name, e.g. 'devops.k8s'"
+                    }
+                },
+                required: ["skill"]
+            }
+        },
+        {
+            name: "read_skill_file",
+            description: "Read a file bundled with a skill. Use list_skill_files first to see what is available.",
+            inputSchema: {
+                type: "object",
+                properties: {
+                    skill: {
+                        type: "string",
+                        description: "Skill tool name, e.g. 'devops.k8s'"
+                    },
+                    path: {
+                        type: "string",
+                        description: "File path relative to the skill folder, e.g. 'scripts/deploy.sh'"
+                    }
+                },
+                required: ["skill", "path"]
+            }
+        }
+    ];
+}
+/**
+ * Handle a call to a built-in skill library tool
+ * Returns null when the name is not a built-in tool
+ */
+async function callSkillLibraryTool(name, args) {
+    switch (name) {
+        case 'list_skill_categories': {
+            const skills = filterSkills(await loadSkills(), args);
+            const category = typeof args.category === 'string' ? args.category.replace(/^\.+|\.+$/g, '') : '';
+            return {
+                content: [{
+                        type: "text",
+                        text: JSON.stringify(browseSkillCategory(skills, category), null, 2)
+                    }]
+            };
+        }
+        case 'search_skills': {
+            const skills = filterSkills(await loadSkills(), args);
+            const limit = Number.isInteger(args.limit) && args.limit > 0 ? args.limit : 10;
+            const results = searchSkills(String(args.query || ''), limit, skills).map(({ skill, score, snippet }) => ({
+                name: skill.mcpName,
+                category: skill.category,
+                description: skill.description,
+                tags: skill.tags,
+                score,
+                snippet
+            }));
+            return {
+                content: [{
+                        type: "text",
+                        text: JSON.stringify({ query: args.query, results }, null, 2)
+                    }]
+            };
+        }
+        case 'get_skill': {
+            const skill = await findSkillForTool(args.skill_name, 'skill_name');
+            return callSkill(skill, args.arguments || {});
+        }
+        case 'suggest_skills': {
+            const skills = await loadSkills();
+            const limit = Number.isInteger(args.limit) && args.limit > 0 ? args.limit : 5;
+            const suggestions = suggestSkills(String(args.task || ''), limit, skills).map(({ skill, score, reason }) => ({
+                name: skill.mcpName,
+                description: skill.description,
+                score,
+                reason
+            }));
+            return {
+                content: [{
+                        type: "text",
+                        text: JSON.stringify({ task: args.task, suggestions }, null, 2)
+                    }]
+            };
+        }
+        case 'skills_stats': {
+            const skills = await loadSkills();
+            const report = buildUsageReport(skills, {
+                days: Number.isInteger(args.days) && args.days > 0 ? args.days : undefined,
+                limit: Number.isInteger(args.limit) && args.limit > 0 ? args.limit : 10
+            });
+            return {
+                content: [{
+                        type: "text",
+                        text: JSON.stringify(report, null, 2)
+                    }]
+            };
+        }
+        case 'skill_catalog': {
+            const skills = filterSkills(await loadSkills(), args);
+            return {
+                content: [{
+                        type: "text",
+                        text: JSON.stringify(buildSkillCatalog(skills), null, 2)
+                    }]
+            };
+        }
+        case 'list_skill_layers': {
+            const skills = await loadSkills();
+            const report = {
+                roots: skillRoots.map((root, index) => ({
+                    precedence: index + 1,
+                    layer: root.layer,
+                    dir: root.dir,
+                    exists: fs.existsSync(root.dir),
+                    skills: skills.filter(s => s.layer === root.layer).length
+                })),
+                shadowed: shadowedSkills
+            };
+            return {
+                content: [{
+                        type: "text",
+                        text: JSON.stringify(report, null, 2)
+                    }]
+            };
+        }
+        case 'skill_diagnostics': {
+            await loadSkills();
+            const diagnostics = args.severity
+                ? skillDiagnostics.filter(d => d.severity === args.severity)
+                : skillDiagnostics;
+            const report = {
+                errors: skillDiagnostics.filter(d => d.severity === 'error').length,
+                warnings: skillDiagnostics.filter(d => d.severity === 'warning').length,
+                diagnostics
+            };
+            return {
+                content: [{
+                        type: "text",
+                        text: JSON.stringify(report, null, 2)
+                    }]
+            };
+        }
+        case 'list_skill_files': {
+            const skill = await findSkillForTool(args.skill);
+            return {
+                content: [{
+                        type: "text",
+                        text: JSON.stringify({ skill: skill.toolName, files: listSkillFiles(skill) }, null, 2)
+                    }]
+            };
+        }
+        case 'read_skill_file': {
+            const skill = await findSkillForTool(args.skill);
+            return { content: readSkillFile(skill, String(args.path || '')) };
+        }
+        default:
+            return null;
+    }
+}
+/**
+ * Look up the skill named in a library tool's `skill` argument
+ */
+async function findSkillForTool(toolName, argName = 'skill') {
+    if (typeof toolName !== 'string' || toolName === '') {
+        throw new Error(`Missing required argument '${argName}'`);
+    }
+    await loadSkills();
+    const skill = resolveSkillRef(toolName);
+    if (!skill) {
+        throw new Error(`Skill '${toolName}' not found`);
+    }
+    return skill;
+}
+/**
+ * Run a skill call: validate arguments, then return executable instructions
+ * or the static content with parameters filled in
+ */
+function callSkill(skill, rawArgs) {
+    const { toc, sections, page_tokens: pageTokens, cursor, max_tokens: maxTokens, ...skillArgs } = rawArgs;
+    const args = validateSkillArguments(skill, skillArgs);
+    if (toc !== undefined && typeof toc !== 'boolean') {
+        throw new Error(`Invalid arguments for skill '${skill.toolName}': 'toc' must be true or false`);
+    }
+    const sectionNames = typeof sections === 'string' ? [sections] : sections;
+    if (sectionNames !== undefined && (!Array.isArray(sectionNames) || sectionNames.some(name => typeof name !== 'string'))) {
+        throw new Error(`Invalid arguments for skill '${skill.toolName}': 'sections' must be a list of section names`);
+    }
+    if (pageTokens !== undefined && (!Number.isInteger(pageTokens) || pageTokens <= 0)) {
+        throw new Error(`Invalid arguments for skill '${skill.toolName}': 'page_tokens' must be a positive integer`);
+    }
+    if (cursor !== undefined && typeof cursor !== 'string') {
+        throw new Error(`Invalid arguments for skill '${skill.toolName}': 'cursor' must be a string`);
+    }
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens <= 0)) {
+        throw new Error(`Invalid arguments for skill '${skill.toolName}': 'max_tokens' must be a positive integer`);
+    }
+    // Table of contents of the skill content
+    if (toc) {
+        const text = JSON.stringify(buildSkillToc(skill, renderSkillContent(skill, args)), null, 2);
+        recordSkillUsage(skill, rawArgs, text);
+        return {
+            content: [{
+                    type: "text",
+                    text
+                }]
+        };
+    }
+    let text;
+    if (sectionNames && sectionNames.length > 0) {
+        // Only the named sections
+        text = selectSections(skill, renderSkillContent(skill, args), sectionNames);
+    }
+    else if (skill.type === 'executable') {
+        // Generate dynamic instructions based on context and available tools
+        text = generateDynamicInstructions(skill, args);
+    }
+    else {
+        // The full static skill content, with parameters filled in
+        text = renderSkillContent(skill, args);
+    }
+    // Point the model at adjacent guidance, the way skills are listed: as tools, or behind get_skill
+    const related = skill.related.length > 0
+        ? `\n\n---\nRelated skills: ${skill.related.map(name => `\`${name}\``).join(', ')} (${useProgressiveDisclosure(skillsCache.length) ? 'call with get_skill' : 'call by tool name'})`
+        : '';
+    // max_tokens bounds the whole response, footers included: pages shrink to fit it, other responses are abridged
+    if (pageTokens !== undefined || cursor !== undefined) {
+        text = pageSkillContent(skill, text, pageTokens, cursor, related, maxTokens);
+    }
+    else if (maxTokens !== undefined && estimateTokens(text + related) > maxTokens) {
+        const abridged = abridgeContent(skill, text, maxTokens - estimateTokens(related));
+        // A budget too small for both keeps the abridged content and drops the footer
+        text = estimateTokens(abridged + related) <= maxTokens ? abridged + related : abridgeContent(skill, text, maxTokens);
+    }
+    else {
+        text += related;
+    }
+    recordSkillUsage(skill, rawArgs, text);
+    return {
+        content: [{
+                type: "text",
+                text
+            }]
+    };
+}
+/**
+ * Return one page of a skill response with a footer naming the next cursor,
+ * or stating that the content is complete on the last page, then the related footer.
+ * With `maxTokens` the page is shrunk until the whole response fits; the cursor keeps the requested page size.
+ */
+function pageSkillContent(skill, content, pageTokens, cursor, related, maxTokens) {
+    const state = cursor ? decodeCursor(skill, content, cursor) : { offset: 0, pageTokens: pageTokens, page: 1 };
+    const size = pageTokens ?? state.pageTokens;
+    const render = (limit) => {
+        const { text, next } = paginateContent(content, state.offset, limit, maxTokens !== undefined);
+        if (next === null) {
+            return `${text}\n\n---\nPage ${state.page}: end of '${skill.mcpName}'. The content is complete.${related}`;
+        }
+        const remaining = estimateTokens(content.slice(next));
+        return `${text}\n\n---\nPage ${state.page}: about ${remaining} more tokens of '${skill.mcpName}' follow. Call again with cursor "${encodeCursor(content, next, size, state.page + 1)}" for the next page.${related}`;
+    };
+    if (maxTokens === undefined)
+        return render(size);
+    let limit = Math.min(size, maxTokens);
+    let page = render(limit);
+    while (estimateTokens(page) > maxTokens) {
+        limit -= estimateTokens(page) - maxTokens;
+        if (limit < 1) {
+            throw new Error(`Invalid arguments for skill '${skill.toolName}': 'max_tokens' of ${maxTokens} leaves no room for a page after its footer; raise it or call without 'page_tokens' and 'cursor'`);
+        }
+        page = render(limit);
+    }
+    return page;
+}
+/**
+ * Append a skill call to the usage log; failures are logged and never fail the call
+ */
+function recordSkillUsage(skill, args, text) {
+    if (!USAGE_TRACKING)
+        return;
+    const record = {
+        ts: new Date().toISOString(),
+        skill: skill.toolName,
+        tool: skill.mcpName,
+        version: skill.version || 'latest',
+        args: Object.keys(args),
+        chars: text.length,
+        tokens: estimateTokens(text)
+    };
+    try {
+        fs.mkdirSync(path.dirname(SKILLS_USAGE_FILE), { recursive: true });
+        fs.appendFileSync(SKILLS_USAGE_FILE, `${JSON.stringify(record)}\n`);
+    }
+    catch (error) {
+        logger.warn(`Failed to record skill usage in ${SKILLS_USAGE_FILE}`, error);
+    }
+}
+/**
+ * Read the usage log, skipping lines that are not valid records
+ */
+function readUsageRecords() {
+    if (!fs.existsSync(SKILLS_USAGE_FILE)) {
+        return [];
+    }
+    const records = [];
+    for (const line of fs.readFileSync(SKILLS_USAGE_FILE, 'utf-8').split('\n')) {
+        if (!line.trim())
+            continue;
+        try {
+            const record = JSON.parse(line);
+            if (typeof record.ts === 'string' && typeof record.skill === 'string')
+                records.push(record);
+        }
+        catch {
+            // A partly written line from an interrupted append
+        }
+    }
+    return records;
+}
+/**
+ * Summarize skill usage: most and least used, never used and calls per day
+ * `days` limits the report to recent calls; `limit` caps the most/least used lists
+ */
+function buildUsageReport(skills, options) {
+    const since = options.days ? new Date(Date.now() - options.days * 86400000).toISOString() : undefined;
+    const records = readUsageRecords().filter(record => !since || record.ts >= since);
+    const bySkill = new Map();
+    const byDay = new Map();
+    for (const record of records) {
+        const stats = bySkill.get(record.skill) || { calls: 0, tokens: 0, last_used: record.ts, versions: {} };
+        stats.calls++;
+        stats.tokens += record.tokens || 0;
+        if (record.ts > stats.last_used)
+            stats.last_used = record.ts;
+        stats.versions[record.version] = (stats.versions[record.version] || 0) + 1;
+        bySkill.set(record.skill, stats);
+        const day = record.ts.slice(0, 10);
+        byDay.set(day, (byDay.get(day) || 0) + 1);
+    }
+    const used = [...bySkill.entries()].map(([skill, stats]) => ({
+        skill,
+        calls: stats.calls,
+        average_tokens: Math.round(stats.tokens / stats.calls),
+        last_used: stats.last_used,
+        versions: stats.versions
+    }));
+    const byName = (a, b) => a.skill.localeCompare(b.skill);
+    return {
+        since: since || records[0]?.ts || null,
+        total_calls: records.length,
+        skills_used: used.length,
+        most_used: [...used].sort((a, b) => b.calls - a.calls || byName(a, b)).slice(0, options.limit),
+        least_used: [...used].sort((a, b) => a.calls - b.calls || byName(a, b)).slice(0, options.limit),
+        never_used: skills.filter(skill => !bySkill.has(skill.toolName)).map(skill => skill.toolName).sort(),
+        over_time: [...byDay.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, calls]) => ({ date, calls }))
+    };
+}
+/**
+ * Render a usage report as plain text for the command line
+ */
+function formatUsageReport(report) {
+    const lines = [`Skill usage since ${report.since || 'the start'}: ${report.total_calls} calls to ${report.skills_used} skills`, ''];
+    const table = (title, rows) => {
+        lines.push(`${title}:`);
+        if (rows.length === 0)
+            lines.push('  (none)');
+        for (const row of rows)
+            lines.push(`  ${String(row.calls).padStart(6)}  ${row.skill}  (last used ${row.last_used})`);
+        lines.push('');
+    };
+    table('Most used', report.most_used);
+    table('Least used', report.least_used);
+    lines.push(`Never used (${report.never_used.length}):`);
+    lines.push(report.never_used.length > 0 ? `  ${report.never_used.join(', ')}` : '  (none)');
+    lines.push('', 'Calls per day:');
+    if (report.over_time.length === 0)
+        lines.push('  (none)');
+    for (const { date, calls } of report.over_time)
+        lines.push(`  ${date}  ${String(calls).padStart(6)}`);
+    return lines.join('\n');
+}
+/**
+ * `skills-server stats [--days N] [--limit N] [--json]`: print the usage report and exit
+ */
+async function printUsageStats() {
+    const days = getCliOption('days');
+    const limit = getCliOption('limit');
+    const report = buildUsageReport(await loadSkills(), {
+        days: days ? parseInt(days, 10) : undefined,
+        limit: limit ? parseInt(limit, 10) : 10
+    });
+    console.log(process.argv.includes('--json') ? JSON.stringify(report, null, 2) : formatUsageReport(report));
+}
+/**
+ * Decide whether skills are listed one tool each or behind the discovery tools
+ */
+function useProgressiveDisclosure(skillCount) {
+    if (SKILLS_DISCLOSURE === 'progressive')
+        return true;
+    if (SKILLS_DISCLOSURE === 'full')
+        return false;
+    return skillCount > SKILLS_DISCLOSURE_THRESHOLD;
+}
+/**
+ * Read a tag filter argument: one tag or a list of tags, compared case-insensitively
+ */
+function tagFilterArg(args, field) {
+    const value = args[field];
+    if (value === undefined)
+        return [];
+    const tags = typeof value === 'string' ? [value] : value;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new Error(`${field} must be a tag or a list of tags`);
+    }
+    return tags.map(tag => tag.trim().toLowerCase()).filter(Boolean);
+}
+/**
+ * Apply the category and tag filters shared by the listing and search tools:
+ * `tags` (all of), `any_tags` (at least one of) and `exclude_tags` (none of)
+ */
+function filterSkills(skills, args) {
+    const category = typeof args.category === 'string' ? args.category.replace(/^\.+|\.+$/g, '') : '';
+    const allTags = tagFilterArg(args, 'tags');
+    const anyTags = tagFilterArg(args, 'any_tags');
+    const excludeTags = tagFilterArg(args, 'exclude_tags');
+    return skills.filter(skill => (!category || skill.category === category || skill.category.startsWith(`${category}.`)) &&
+        allTags.every(tag => skill.tags.includes(tag)) &&
+        (anyTags.length === 0 || anyTags.some(tag => skill.tags.includes(tag))) &&
+        !excludeTags.some(tag => skill.tags.includes(tag)));
+}
+/**
+ * Group skills by full category path with counts, categories in sorted order
+ */
+function buildSkillCatalog(skills) {
+    const groups = new Map();
+    for (const skill of skills) {
+        groups.set(skill.category, [...(groups.get(skill.category) || []), skill]);
+    }
     return {
-        name: safeName,
-        tool_path: toolPath,
-        description: toolDef.description || 'No description available',
-        inputSchema: inferInputSchema(toolDef),
-        category: category,
-        source: 'lazy-mcp'
+        total: skills.length,
+        categories: [...groups.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([category, members]) => ({
+            category,
+            count: members.length,
+            skills: members
+                .sort((a, b) => a.mcpName.localeCompare(b.mcpName))
+                .map(skill => ({ name: skill.mcpName, description: skill.description, tags: skill.tags }))
+        }))
     };
 }
 /**
- * Infer input schema from tool definition
+ * Browse one level of the skill category tree: child categories with skill counts,
+ * and the skills filed directly in the category
  */
-function inferInputSchema(toolDef) {
-    if (toolDef.inputSchema) {
-        return toolDef.inputSchema;
+function browseSkillCategory(skills, category) {
+    const prefix = category ? `${category}.` : '';
+    const children = new Map();
+    for (const skill of skills) {
+        if (skill.category === category || !skill.category.startsWith(prefix))
+            continue;
+        const child = skill.category.slice(prefix.length).split('.')[0];
+        children.set(child, (children.get(child) || 0) + 1);
     }
-    // Fallback for tools without explicit schema
     return {
-        type: "object",
-        properties: {
-            input: {
-                type: "string",
-                description: "Input for this tool"
-            }
-        },
-        required: []
+        category,
+        categories: [...children.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, count]) => ({ name, path: prefix + name, skills: count })),
+        skills: skills
+            .filter(skill => skill.category === category)
+            .map(skill => ({ name: skill.mcpName, description: skill.description, tags: skill.tags }))
     };
 }
 /**
- * Generate dynamic instructions for executable skills
+ * Build the resource URI of a skill, one of its sections, or a bundled file
  */
-function generateDynamicInstructions(skill, params) {
-    const query = params.query || '';
-    const availableTools = skill.allowed_tools || [];
-    let instructions = `# ${skill.name} - Dynamic Execution\n\n`;
-    instructions += `${skill.description}\n\n`;
-    // Add context-aware instructions based on query
-    if (query) {
-        instructions += `## Task Context\n${query}\n\n`;
+function skillResourceUri(skill, part) {
+    const base = `${SKILL_URI_SCHEME}${encodeURIComponent(skill.mcpName)}`;
+    if (part?.file)
+        return `${base}/files/${part.file.split('/').map(encodeURIComponent).join('/')}`;
+    if (part?.section)
+        return `${base}/${encodeURIComponent(part.section)}`;
+    return base;
+}
+/**
+ * Split a skill:// URI into the skill reference and an optional section or file path
+ */
+function parseSkillResourceUri(uri) {
+    if (!uri.startsWith(SKILL_URI_SCHEME))
+        return null;
+    try {
+        const [name, ...rest] = uri.slice(SKILL_URI_SCHEME.length).replace(/\/$/, '').split('/').map(decodeURIComponent);
+        if (!name)
+            return null;
+        if (rest.length === 0)
+            return { name };
+        if (rest[0] === 'files' && rest.length > 1)
+            return { name, file: rest.slice(1).join('/') };
+        if (rest.length === 1)
+            return { name, section: rest[0] };
     }
-    // Add tool orchestration instructions
-    if (availableTools.length > 0) {
-        instructions += `## Available Tools\nYou have access to these tools: ${availableTools.join(', ')}\n\n`;
-        instructions += `## Tool Usage Strategy\n`;
-        instructions += `- Analyze the task and select appropriate tools\n`;
-        instructions += `- Use tools in sequence to accomplish the task\n`;
-        instructions += `- Combine tool outputs for comprehensive solutions\n`;
-        instructions += `- Handle errors gracefully and provide alternatives\n\n`;
+    catch {
+        // Malformed percent-encoding
     }
-    // Add skill-specific execution logic
-    instructions += `## Execution Instructions\n${skill.content}\n\n`;
-    // Add dynamic behavior based on skill type
-    switch (skill.execution_logic) {
-        case 'conditional':
-            instructions += `## Conditional Logic\n`;
-            instructions += `- Analyze the input and context\n`;
-            instructions += `- Make decisions based on available information\n`;
-            instructions += `- Adapt your approach based on results\n`;
-            break;
-        case 'sequential':
-            instructions += `## Sequential Execution\n`;
-            instructions += `- Follow steps in logical order\n`;
-            instructions += `- Use output from previous steps as input to next\n`;
-            instructions += `- Validate each step before proceeding\n`;
-            break;
-        case 'parallel':
-            instructions += `## Parallel Execution\n`;
-            instructions += `- Execute multiple operations simultaneously\n`;
-            instructions += `- Coordinate results from parallel operations\n`;
-            instructions += `- Handle dependencies between operations\n`;
-            break;
-        default:
-            instructions += `## Standard Execution\n`;
-            instructions += `- Follow the provided instructions systematically\n`;
-            instructions += `- Use available tools as needed\n`;
-            instructions += `- Provide comprehensive solutions\n`;
+    return null;
+}
+/**
+ * Render a skill for reading as a resource: declared parameter defaults are filled in,
+ * other placeholders stay as `{{name}}` with a note on how to fill them in
+ */
+function renderSkillResource(skill) {
+    if (!skill.template) {
+        return skill.content;
     }
-    return instructions;
+    const defaults = Object.fromEntries(Object.entries(skill.parameters || {})
+        .filter(([, param]) => param.default !== undefined)
+        .map(([name, param]) => [name, param.default]));
+    const { text, unresolved } = renderTemplate(skill.template, defaults, true);
+    if (unresolved.length === 0) {
+        return text;
+    }
+    const call = useProgressiveDisclosure(skillsCache.length) ? 'get_skill' : `the \`${skill.mcpName}\` tool`;
+    return `${text}\n\n---\nPlaceholders left as written: ${unresolved.map(name => `\`${name}\``).join(', ')}. Call ${call} or the \`${skill.mcpName}\` prompt with them as arguments to fill them in.`;
 }
 /**
- * Get lazy-mcp's native navigation tools (preserves progressive disclosure)
- * Instead of flattening 166 tools → Only expose 2 navigation tools
- * Token savings: ~25,000 tokens → ~500 tokens
+ * Read a bundled skill file as resource contents: text, or base64 for binary files
  */
-async function getLazyMCPNavigationTools() {
-    // Ensure connection
-    if (!(await ensureLazyMCPConnection())) {
-        console.error('Lazy-MCP not available');
-        return [];
+function readSkillResourceFile(skill, relPath, uri) {
+    const filePath = resolveSkillFile(skill, relPath);
+    const size = fs.statSync(filePath).size;
+    if (size > MAX_SKILL_FILE_BYTES) {
+        throw new Error(`File '${relPath}' is ${size} bytes, over the ${MAX_SKILL_FILE_BYTES} byte limit`);
     }
-    console.error('Exposing lazy-mcp native navigation tools (progressive disclosure preserved)');
-    // Return lazy-mcp's native navigation tools as-is
-    // This preserves the hierarchical, token-efficient design
-    return [
-        {
-            name: "lazy_mcp_get_tools_in_category",
-            description: "Browse the lazy-mcp tool hierarchy progressively. You have 166 MCP tools across 15 categories available through progressive disclosure. Use this to explore available tools by category.\n\nCall with empty path \"\" to see root categories (brave-search, desktop-commander, filesystem, github, playwright, etc.).\n\nReturns children categories and tools at the specified path.",
-            inputSchema: {
-                type: "object",
-                properties: {
-                    path: {
-                        type: "string",
-                        description: "Category path using dot notation (e.g., 'brave-search' or 'desktop-commander'). Use empty string \"\" for root."
-                    }
-                },
-                required: ["path"]
-            }
-        },
-        {
-            name: "lazy_mcp_execute_tool",
-            description: "Execute a lazy-mcp tool by its full hierarchical path. First use lazy_mcp_get_tools_in_category to browse and find the tool path, then execute it with this tool.",
-            inputSchema: {
-                type: "object",
-                properties: {
-                    tool_path: {
-                        type: "string",
-                        description: "Full tool path using dot notation (e.g., 'brave-search.brave_web_search' or 'desktop-commander.read_file')"
-                    },
-                    arguments: {
-                        type: "object",
-                        additionalProperties: true,
-                        description: "Arguments to pass to the tool"
-                    }
-                },
-                required: ["tool_path", "arguments"]
-            }
+    const buffer = fs.readFileSync(filePath);
+    const mimeType = getMimeType(relPath);
+    return isBinaryBuffer(buffer)
+        ? { uri, mimeType, blob: buffer.toString('base64') }
+        : { uri, mimeType, text: buffer.toString('utf-8') };
+}
+/**
+ * Describe a skill's parameters as prompt arguments; prompt arguments are strings,
+ * so the declared type, allowed values and default go into the description
+ */
+function buildPromptArguments(skill) {
+    const params = Object.entries(skill.parameters || {});
+    if (skill.type === 'executable' && !skill.parameters?.query) {
+        params.push(['query', { type: 'string', description: 'Task context for the instructions' }]);
+    }
+    return params.map(([name, param]) => {
+        const notes = [param.type !== 'string' ? param.type : '',
+            param.enum ? `one of ${param.enum.map(v => JSON.stringify(v)).join(', ')}` : '',
+            param.default !== undefined ? `default ${JSON.stringify(param.default)}` : ''].filter(Boolean);
+        const description = [param.description, notes.length > 0 ? `(${notes.join('; ')})` : ''].filter(Boolean).join(' ');
+        return {
+            name,
+            ...(description ? { description } : {}),
+            required: !!param.required && param.default === undefined
+        };
+    });
+}
+/**
+ * Convert string prompt arguments to the declared parameter types
+ * Values that do not parse are passed on as strings and rejected by argument validation
+ */
+function coercePromptArguments(skill, args) {
+    const coerced = {};
+    for (const [name, value] of Object.entries(args)) {
+        const param = skill.parameters?.[name];
+        if (!param && !(name === 'query' && skill.type === 'executable')) {
+            throw new Error(`Invalid arguments for prompt '${skill.mcpName}': unknown argument '${name}'`);
+        }
+        if (value === '' && !param?.required)
+            continue;
+        switch (param?.type) {
+            case 'number':
+            case 'integer':
+                coerced[name] = value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+                break;
+            case 'boolean':
+                coerced[name] = value === 'true' ? true : value === 'false' ? false : value;
+                break;
+            case 'object':
+            case 'array':
+                try {
+                    coerced[name] = JSON.parse(value);
+                }
+                catch {
+                    coerced[name] = value;
+                }
+                break;
+            default:
+                coerced[name] = value;
         }
+    }
+    return coerced;
+}
+/**
+ * Filter completion candidates by the typed value: prefix matches first, then other substring matches
+ */
+function completeValues(candidates, value) {
+    const typed = value.toLowerCase();
+    const unique = [...new Set(candidates)].sort();
+    const matches = [
+        ...unique.filter(candidate => candidate.toLowerCase().startsWith(typed)),
+        ...unique.filter(candidate => !candidate.toLowerCase().startsWith(typed) && candidate.toLowerCase().includes(typed))
     ];
+    return {
+        values: matches.slice(0, MAX_COMPLETION_VALUES),
+        total: matches.length,
+        hasMore: matches.length > MAX_COMPLETION_VALUES
+    };
+}
+/**
+ * Suggest lazy-mcp paths for a partly typed path: the entries of the category it names so far
+ */
+async function completeLazyMCPPath(value, includeTools) {
+    const parent = value.includes('.') ? value.slice(0, value.lastIndexOf('.')) : '';
+    const listing = await getLazyMCPCategory(parent);
+    if (!listing)
+        return [];
+    return includeTools ? [...listing.categories, ...listing.tools] : listing.categories;
+}
+/**
+ * Candidate values for one argument of a prompt or resource template.
+ * Skill prompts complete enum and boolean parameters; the skill:// templates complete skill names
+ * and the lazy-mcp:// templates complete category and tool paths.
+ */
+async function completionCandidates(ref, argument) {
+    if (ref.type === 'ref/resource') {
+        if (ref.uri.startsWith(LAZY_MCP_URI_SCHEME) && getLazyMCPEnabled()) {
+            if (argument.name === 'path')
+                return completeLazyMCPPath(argument.value, false);
+            if (argument.name === 'tool_path')
+                return completeLazyMCPPath(argument.value, true);
+            return [];
+        }
+        if (!ref.uri.startsWith(SKILL_URI_SCHEME)) {
+            throw new Error(`Resource template '${ref.uri}' not found`);
+        }
+        return argument.name === 'name' ? (await loadSkills()).map(skill => skill.mcpName) : [];
+    }
+    await loadSkills();
+    const skill = resolveSkillRef(ref.name);
+    if (!skill) {
+        throw new Error(`Prompt '${ref.name}' not found`);
+    }
+    const param = skill.parameters?.[argument.name];
+    if (param?.enum)
+        return param.enum.map(value => typeof value === 'string' ? value : JSON.stringify(value));
+    if (param?.type === 'boolean')
+        return ['true', 'false'];
+    return [];
 }
 /**
  * Create an MCP server for serving skills
@@ -356,52 +3026,72 @@ const server = new Server({
     version: "0.2.0",
 }, {
     capabilities: {
-        tools: {},
+        tools: { listChanged: true },
+        resources: { listChanged: true },
+        prompts: { listChanged: true },
+        completions: {},
+        logging: {},
     },
 });
 /**
  * Handler for listing available skills as tools
  */
 server.setRequestHandler(ListToolsRequestSchema, async () => {
-    console.error('ListToolsRequest: Starting tool discovery...');
+    logger.debug('ListToolsRequest: Starting tool discovery...');
     const skills = await loadSkills();
-    console.error(`ListToolsRequest: Found ${skills.length} skills`);
+    logger.debug(`ListToolsRequest: Found ${skills.length} skills`);
     let lazyMCPTools = [];
     const lazyMcpEnabled = getLazyMCPEnabled();
     if (lazyMcpEnabled) {
-        console.error('ListToolsRequest: Lazy-MCP enabled, exposing navigation tools...');
+        logger.debug('ListToolsRequest: Lazy-MCP enabled, exposing navigation tools...');
         try {
             lazyMCPTools = await getLazyMCPNavigationTools();
-            console.error(`ListToolsRequest: Exposed ${lazyMCPTools.length} lazy-mcp navigation tools (progressive disclosure)`);
+            logger.debug(`ListToolsRequest: Exposed ${lazyMCPTools.length} lazy-mcp navigation tools (progressive disclosure)`);
         }
         catch (error) {
-            console.error('ListToolsRequest: Failed to get lazy-mcp navigation tools:', error);
+            logger.error('ListToolsRequest: Failed to get lazy-mcp navigation tools', error);
         }
     }
     else {
-        console.error('ListToolsRequest: Lazy-MCP disabled - only returning skills for token efficiency');
+        logger.debug('ListToolsRequest: Lazy-MCP disabled - only returning skills for token efficiency');
     }
-    const allTools = [
+    // Above the threshold, skills sit behind the discovery tools instead of one tool each
+    const progressive = useProgressiveDisclosure(skills.length);
+    const libraryTools = getSkillLibraryTools()
+        .filter(tool => progressive || !SKILL_DISCOVERY_TOOL_NAMES.includes(tool.name));
+    const skillTools = progressive ? [] : [
         // Skills tools
         ...skills.map(skill => ({
-            name: skill.name,
+            name: skill.mcpName,
+            title: skill.name,
+            aliases: skill.aliases,
             description: skill.description,
-            inputSchema: {
-                type: "object",
-                properties: {
-                    query: {
-                        type: "string",
-                        description: "Optional query or context for using this skill"
-                    }
-                }
-            }
-        }))
+            category: skill.category,
+            tags: skill.tags,
+            layer: skill.layer,
+            version: skill.version,
+            inputSchema: buildSkillInputSchema(skill)
+        })),
+        // Other installed skill versions, each under its own tool name (e.g. deploy_v1_0_0)
+        ...(LIST_ALL_VERSIONS ? skills.flatMap(skill => (skillVersions.get(skill.toolName) || [])
+            .filter(other => other !== skill && toolNameIndex.get(versionToolName(other)) === `${other.toolName}@${other.version}`)
+            .map(other => ({
+            name: versionToolName(other),
+            title: `${other.name}@${other.version}`,
+            description: other.description,
+            category: other.category,
+            tags: other.tags,
+            layer: other.layer,
+            version: other.version,
+            inputSchema: buildSkillInputSchema(other)
+        }))) : [])
     ];
+    const allTools = [...skillTools, ...libraryTools];
     // Add lazy-mcp navigation tools if enabled (preserves progressive disclosure)
     if (lazyMcpEnabled) {
         allTools.push(...lazyMCPTools);
     }
-    console.error(`ListToolsRequest: Returning ${allTools.length} total tools (${skills.length} skills + ${lazyMcpEnabled ? lazyMCPTools.length : 0} lazy-mcp)`);
+    logger.debug(`ListToolsRequest: Returning ${allTools.length} total tools (${skillTools.length} skills${progressive ? ' behind progressive disclosure' : ''} + ${libraryTools.length} library + ${lazyMcpEnabled ? lazyMCPTools.length : 0} lazy-mcp)`);
     return { tools: allTools };
 });
 /**
@@ -410,30 +3100,16 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
  */
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
     const { name } = request.params;
-    // First check if it's a skill
-    const skills = await loadSkills();
-    const skill = skills.find(s => s.name === name);
+    // Built-in skill library tools take precedence over skills
+    const libraryResult = await callSkillLibraryTool(name, request.params.arguments || {});
+    if (libraryResult) {
+        return libraryResult;
+    }
+    // Then check if it's a skill
+    await loadSkills();
+    const skill = resolveSkillRef(name);
     if (skill) {
-        // Check if it's an executable skill
-        if (skill.type === 'executable') {
-            // Generate dynamic instructions based on context and available tools
-            const dynamicInstructions = generateDynamicInstructions(skill, request.params.arguments || {});
-            return {
-                content: [{
-                        type: "text",
-                        text: dynamicInstructions
-                    }]
-            };
-        }
-        else {
-            // Return the full static skill content
-            return {
-                content: [{
-                        type: "text",
-                        text: skill.content
-                    }]
-            };
-        }
+        return callSkill(skill, request.params.arguments || {});
     }
     // Check if it's a lazy-mcp navigation tool
     const lazyMcpEnabled = getLazyMCPEnabled();
@@ -448,7 +3124,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 return result;
             }
             catch (error) {
-                console.error(`Error calling get_tools_in_category:`, error);
+                logger.error('Error calling get_tools_in_category', error);
                 throw new Error(`Failed to browse lazy-mcp categories: ${error}`);
             }
         }
@@ -462,29 +3138,279 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 return result;
             }
             catch (error) {
-                console.error(`Error executing lazy-mcp tool:`, error);
+                logger.error('Error executing lazy-mcp tool', error);
                 throw new Error(`Failed to execute lazy-mcp tool: ${error}`);
             }
         }
     }
     throw new Error(`Tool '${name}' not found`);
 });
+/**
+ * Handler for listing skills and their bundled files as skill:// resources
+ */
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const skills = await loadSkills();
+    const resources = [];
+    for (const skill of skills) {
+        resources.push({
+            uri: skillResourceUri(skill),
+            name: skill.name,
+            description: skill.description,
+            mimeType: 'text/markdown'
+        });
+        for (const file of listSkillFiles(skill)) {
+            if (file.path === 'SKILL.md')
+                continue;
+            resources.push({
+                uri: skillResourceUri(skill, { file: file.path }),
+                name: `${skill.name}/${file.path}`,
+                mimeType: file.mimeType
+            });
+        }
+    }
+    return { resources };
+});
+/**
+ * Handler for the skill:// URI templates, so clients can address skills and sections directly,
+ * and the lazy-mcp:// templates for browsing the lazy-mcp hierarchy when it is enabled
+ */
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    const lazyMcpTemplates = getLazyMCPEnabled() ? [
+        {
+            uriTemplate: `${LAZY_MCP_URI_SCHEME}category/{+path}`,
+            name: 'Lazy-MCP category',
+            description: 'Child categories and tools of a lazy-mcp category, by dot path (empty for the root)',
+            mimeType: 'application/json'
+        },
+        {
+            uriTemplate: `${LAZY_MCP_URI_SCHEME}tool/{+tool_path}`,
+            name: 'Lazy-MCP tool',
+            description: 'Definition of a lazy-mcp tool, by the dot path lazy_mcp_execute_tool takes',
+            mimeType: 'application/json'
+        }
+    ] : [];
+    return {
+        resourceTemplates: [
+            {
+                uriTemplate: `${SKILL_URI_SCHEME}{name}`,
+                name: 'Skill',
+                description: 'Full content of a skill, by tool name',
+                mimeType: 'text/markdown'
+            },
+            {
+                uriTemplate: `${SKILL_URI_SCHEME}{name}/{section}`,
+                name: 'Skill section',
+                description: 'One section of a skill, by section id or heading title (see the toc option of the skill tool)',
+                mimeType: 'text/markdown'
+            },
+            {
+                uriTemplate: `${SKILL_URI_SCHEME}{name}/files/{+path}`,
+                name: 'Skill file',
+                description: 'A file bundled with a skill, by path relative to the skill folder'
+            },
+            ...lazyMcpTemplates
+        ]
+    };
+});
+/**
+ * Handler for reading a skill, a skill section or a bundled file by skill:// URI,
+ * or a lazy-mcp category or tool by lazy-mcp:// URI
+ */
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const lazyMcp = getLazyMCPEnabled() ? parseLazyMCPResourceUri(uri) : null;
+    if (lazyMcp) {
+        return { contents: [await readLazyMCPResource(uri, lazyMcp)] };
+    }
+    const parsed = parseSkillResourceUri(uri);
+    if (!parsed) {
+        throw new Error(`Resource '${uri}' not found: expected skill://{name}, skill://{name}/{section} or skill://{name}/files/{path}`);
+    }
+    await loadSkills();
+    const skill = resolveSkillRef(parsed.name);
+    if (!skill) {
+        throw new Error(`Resource '${uri}' not found: no skill '${parsed.name}'`);
+    }
+    if (parsed.file) {
+        return { contents: [readSkillResourceFile(skill, parsed.file, uri)] };
+    }
+    const content = renderSkillResource(skill);
+    return {
+        contents: [{
+                uri,
+                mimeType: 'text/markdown',
+                text: parsed.section ? selectSections(skill, content, [parsed.section]) : content
+            }]
+    };
+});
+/**
+ * Handler for listing skills as prompts, with their parameters as arguments
+ */
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    const skills = await loadSkills();
+    return {
+        prompts: skills.map(skill => ({
+            name: skill.mcpName,
+            description: skill.description,
+            arguments: buildPromptArguments(skill)
+        }))
+    };
+});
+/**
+ * Handler for rendering a skill into prompt messages
+ */
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name } = request.params;
+    await loadSkills();
+    const skill = resolveSkillRef(name);
+    if (!skill) {
+        throw new Error(`Prompt '${name}' not found`);
+    }
+    const result = callSkill(skill, coercePromptArguments(skill, request.params.arguments || {}));
+    return {
+        description: skill.description,
+        messages: [{
+                role: 'user',
+                content: result.content[0]
+            }]
+    };
+});
+/**
+ * Handler for argument completion of skill prompts, skill:// templates and lazy-mcp paths
+ */
+server.setRequestHandler(CompleteRequestSchema, async (request) => {
+    const { ref, argument } = request.params;
+    const candidates = await completionCandidates(ref, argument);
+    return { completion: completeValues(candidates, argument.value) };
+});
+/**
+ * Handler for the client choosing which log messages it receives as notifications
+ */
+server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    clientLogLevel = request.params.level;
+    logger.info(`Client log level set to ${request.params.level}`);
+    return {};
+});
+/**
+ * Watch every existing skill root that is not watched yet; changes are debounced into one reload.
+ * Roots that are missing or cannot be watched recursively fall back to CACHE_DURATION polling.
+ */
+function watchSkillRoots() {
+    let added = 0;
+    for (const root of getSkillRoots()) {
+        if (skillWatchers.has(root.dir) || !fs.existsSync(root.dir))
+            continue;
+        try {
+            const watcher = fs.watch(root.dir, { recursive: true }, (_event, filename) => {
+                const file = filename ? path.resolve(root.dir, filename.toString()) : root.dir;
+                // The usage and log files are written by the server itself; dot entries are editor and VCS noise
+                if (file === path.resolve(SKILLS_USAGE_FILE) || (LOG_FILE && file === path.resolve(LOG_FILE)) || (filename && filename.toString().split(path.sep).some(part => part.startsWith('.')))) {
+                    return;
+                }
+                scheduleSkillReload(file);
+            });
+            watcher.on('error', (error) => {
+                logger.warn(`Stopped watching ${root.dir}, falling back to polling`, error);
+                watcher.close();
+                skillWatchers.delete(root.dir);
+            });
+            skillWatchers.set(root.dir, watcher);
+            added++;
+        }
+        catch (error) {
+            logger.warn(`Cannot watch ${root.dir}, falling back to polling every ${CACHE_DURATION} ms`, error);
+        }
+    }
+    if (added > 0) {
+        logger.info(`Watching ${skillWatchers.size} skill root(s) for changes`);
+    }
+}
+/**
+ * Close the skill root watchers and drop any pending reload
+ */
+function stopWatchingSkillRoots() {
+    watchingSkills = false;
+    for (const watcher of skillWatchers.values()) {
+        watcher.close();
+    }
+    skillWatchers = new Map();
+    if (reloadTimer)
+        clearTimeout(reloadTimer);
+    reloadTimer = null;
+}
+/**
+ * Queue a reload for a changed path, restarting the debounce window
+ */
+function scheduleSkillReload(file) {
+    pendingChanges.add(file);
+    lastCacheTime = 0;
+    if (reloadTimer)
+        clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+        reloadTimer = null;
+        reloadChangedSkills();
+    }, SKILLS_WATCH_DEBOUNCE);
+}
+/**
+ * Reload skills after a burst of changes and tell the client its lists are stale
+ */
+async function reloadChangedSkills() {
+    const changed = [...pendingChanges];
+    try {
+        lastCacheTime = 0;
+        await loadSkills();
+    }
+    catch (error) {
+        logger.error('Failed to reload skills', error);
+        return;
+    }
+    if (changed.length > 0) {
+        logger.info(`Reloaded skills after ${changed.length} change(s): ${changed.slice(0, 5).join(', ')}${changed.length > 5 ? ', ...' : ''}`);
+    }
+    try {
+        await server.sendToolListChanged();
+        await server.sendResourceListChanged();
+        await server.sendPromptListChanged();
+    }
+    catch (error) {
+        logger.warn('Failed to send list_changed notifications', error);
+    }
+}
 /**
  * Start the server using stdio transport
  */
 async function main() {
     const lazyMcpEnabled = getLazyMCPEnabled();
-    console.error(`Enhanced Skills MCP Server v0.2.0 starting...`);
-    console.error(`Skills directory: ${SKILLS_DIR}`);
-    console.error(`Lazy-MCP integration: ${lazyMcpEnabled ? 'ENABLED' : 'DISABLED'}`);
+    logger.info('Enhanced Skills MCP Server v0.2.0 starting...');
+    if (process.env.LOG_LEVEL && !parseLogLevel(process.env.LOG_LEVEL)) {
+        logger.warn(`Unknown LOG_LEVEL '${process.env.LOG_LEVEL}', using ${LOG_LEVEL} (levels: ${LOG_LEVELS.join(', ')})`);
+    }
+    logger.info(`Skills search path: ${getSkillRoots().map(r => `${r.layer}=${r.dir}`).join(', ')}`);
+    activeProfile = loadActiveProfile();
+    if (activeProfile) {
+        logger.info(`Skill profile: ${activeProfile.name} (${SKILLS_PROFILES_FILE})`);
+    }
+    if (process.argv[2] === 'stats') {
+        await printUsageStats();
+        return;
+    }
+    logger.info(`Lazy-MCP integration: ${lazyMcpEnabled ? 'ENABLED' : 'DISABLED'}`);
     if (lazyMcpEnabled) {
-        console.error(`Lazy-MCP command: ${LAZY_MCP_COMMAND}`);
+        logger.info(`Lazy-MCP command: ${LAZY_MCP_COMMAND}`);
     }
     const transport = new StdioServerTransport();
     await server.connect(transport);
-    console.error('Enhanced Skills MCP server running on stdio');
+    logger.info('Enhanced Skills MCP server running on stdio');
+    if (SKILLS_WATCH) {
+        watchingSkills = true;
+        watchSkillRoots();
+        await loadSkills();
+        // Recursive watchers keep the process alive, so stop them when the client goes away
+        process.stdin.once('end', stopWatchingSkillRoots);
+        process.stdin.once('close', stopWatchingSkillRoots);
+    }
 }
 main().catch((error) => {
-    console.error("Server error:", error);
+    logger.error('Server error', error);
     process.exit(1);
 });
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Argument Completion Test
+ * Verifies completion/complete for skill parameters, skill names and lazy-mcp tool paths,
+ * and reading the lazy-mcp:// resources
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('completion');
+const SDK_DIR = path.resolve('node_modules/@modelcontextprotocol/sdk/dist');
+
+/**
+ * Write a stand-in lazy-mcp server that serves a small fixed hierarchy
+ */
+function createFakeLazyMCP() {
+  const script = path.join(SKILLS_TEST_DIR, 'fake-lazy-mcp.mjs');
+  fs.writeFileSync(script, `#!/usr/bin/env node
+import { Server } from "${SDK_DIR}/server/index.js";
+import { StdioServerTransport } from "${SDK_DIR}/server/stdio.js";
+import { CallToolRequestSchema, ListToolsRequestSchema } from "${SDK_DIR}/types.js";
+
+const hierarchy = {
+  '': { children: { 'brave-search': {}, filesystem: {} }, tools: {} },
+  'brave-search': { children: {}, tools: { brave_web_search: {}, brave_local_search: {} } },
+  filesystem: { children: { admin: {} }, tools: { read_file: {}, write_file: {} } },
+  'filesystem.admin': { children: {}, tools: { chmod: {} } }
+};
+const server = new Server({ name: 'fake-lazy-mcp', version: '0.0.1' }, { capabilities: { tools: {} } });
+server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: [] }));
+server.setRequestHandler(CallToolRequestSchema, async (request) => ({
+  content: [{ type: 'text', text: JSON.stringify(hierarchy[request.params.arguments.path] || {}) }]
+}));
+await server.connect(new StdioServerTransport());
+`);
+  fs.chmodSync(script, 0o755);
+  return script;
+}
+
+runTest({ name: 'Completion', intro: 'argument completion', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'deploy', [
+    'name: deploy',
+    'description: Deploy a service',
+    'parameters:',
+    '  env:',
+    '    type: string',
+    '    enum: [staging, production, preview]',
+    '  dry_run:',
+    '    type: boolean',
+    '  service:',
+    '    type: string'
+  ].join('\n'), 'Deploy to {{env}}.');
+  createRawSkill(SKILLS_TEST_DIR, 'devops/docker', 'name: docker\ndescription: Docker images', 'Build images.');
+
+  const client = await connect(SKILLS_TEST_DIR, { LAZY_MCP_ENABLED: 'true', LAZY_MCP_COMMAND: createFakeLazyMCP() });
+
+  const complete = async (ref, name, value) => (await client.complete({ ref, argument: { name, value } })).completion;
+  const prompt = (name) => ({ type: 'ref/prompt', name });
+  const resource = (uri) => ({ type: 'ref/resource', uri });
+  const same = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+  check(client.getServerCapabilities()?.completions !== undefined, 'Server declares the completions capability');
+
+  check(same((await complete(prompt('deploy'), 'env', 'pr')).values, ['preview', 'production']), 'Enum values are completed by prefix');
+  const all = await complete(prompt('deploy'), 'env', '');
+  check(all.total === 3 && all.hasMore === false, 'Empty value lists every enum value');
+  check(same((await complete(prompt('deploy'), 'env', 'view')).values, ['preview']), 'Substring matches are included');
+  check(same((await complete(prompt('deploy'), 'dry_run', '')).values, ['false', 'true']), 'Boolean parameters complete to true and false');
+  check((await complete(prompt('deploy'), 'service', 'a')).values.length === 0, 'Free-form parameters have no suggestions');
+
+  check(same((await complete(resource('skill://{name}'), 'name', 'dev')).values, ['devops_docker']), 'Resource template completes skill names');
+
+  const templates = (await client.listResourceTemplates()).resourceTemplates.map(t => t.uriTemplate);
+  check(templates.includes('lazy-mcp://category/{+path}') && templates.includes('lazy-mcp://tool/{+tool_path}'), 'Lazy-mcp resource templates are listed');
+  const category = resource('lazy-mcp://category/{+path}');
+  const tool = resource('lazy-mcp://tool/{+tool_path}');
+  check(same((await complete(category, 'path', '')).values, ['brave-search', 'filesystem']), 'Root lazy-mcp categories are completed');
+  check(same((await complete(tool, 'tool_path', 'brave-search.brave_l')).values, ['brave-search.brave_local_search']), 'Lazy-mcp tool paths are completed');
+  check(same((await complete(tool, 'tool_path', 'filesystem.')).values, ['filesystem.admin', 'filesystem.read_file', 'filesystem.write_file']), 'Nested categories and tools are listed under a category');
+  check(same((await complete(category, 'path', 'filesystem.')).values, ['filesystem.admin']), 'Category paths exclude tools');
+
+  const listing = JSON.parse((await client.readResource({ uri: 'lazy-mcp://category/filesystem' })).contents[0].text);
+  check(Object.keys(listing.tools).includes('read_file'), 'Category resource reads the lazy-mcp listing');
+  check((await client.readResource({ uri: 'lazy-mcp://tool/filesystem.admin.chmod' })).contents[0].mimeType === 'application/json', 'Tool resource reads the tool definition');
+
+  for (const [ref, expected] of [[prompt('missing'), "Prompt 'missing' not found"], [resource('other://{x}'), 'not found'], [prompt('get_skill'), "Prompt 'get_skill' not found"]]) {
+    try {
+      await complete(ref, 'x', '');
+      check(false, `Unknown ${ref.type} ${ref.name || ref.uri} is rejected`);
+    } catch (error) {
+      check(error.message.includes(expected), `Unknown ${ref.type} ${ref.name || ref.uri} is rejected`);
+    }
+  }
+
+  await client.close();
+});
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate Skill Names Test
+ * Verifies deterministic collision handling and that tool names are never listed twice
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('duplicates');
+
+runTest({ name: 'Duplicate skills', intro: 'duplicate skill names', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'b-review', 'name: review\ndescription: Copy B', 'copy B');
+  createRawSkill(SKILLS_TEST_DIR, 'a-review', 'name: review\ndescription: Copy A', 'copy A');
+  createRawSkill(SKILLS_TEST_DIR, 'a-lint', 'name: lint\ndescription: Copy A', 'lint A');
+  createRawSkill(SKILLS_TEST_DIR, 'z-lint', 'name: lint\ndescription: Copy Z\npriority: 10', 'lint Z');
+  createRawSkill(SKILLS_TEST_DIR, 'reserved', 'name: read_skill_file\ndescription: Clashes with a built-in', 'reserved');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const names = (await client.listTools()).tools.map(t => t.name);
+  check(names.length === new Set(names).size, 'No tool name is listed twice');
+
+  const review = (await client.callTool({ name: 'review', arguments: {} })).content[0].text;
+  check(review.includes('copy A'), 'First copy by sorted path wins');
+  const lint = (await client.callTool({ name: 'lint', arguments: {} })).content[0].text;
+  check(lint.includes('lint Z'), 'Higher priority wins over path order');
+
+  const diagnostics = JSON.parse((await client.callTool({ name: 'skill_diagnostics', arguments: {} })).content[0].text).diagnostics;
+  check(diagnostics.some(d => d.file.includes('b-review') && d.message.includes("duplicate skill 'review@latest'")), 'Ignored copy is reported');
+  check(diagnostics.some(d => d.file.includes('reserved') && d.message.includes('reserved')), 'Built-in tool name clash is reported');
+  await client.close();
+
+  const strict = await connect(SKILLS_TEST_DIR, { SKILLS_DUPLICATE_POLICY: 'error' });
+  const strictNames = (await strict.listTools()).tools.map(t => t.name);
+  check(!strictNames.includes('review') && !strictNames.includes('lint'), 'Error policy drops every colliding copy');
+  await strict.close();
+});
@@ -0,0 +1,83 @@
+/**
+ * Shared setup for the skill server tests: temporary skill folders, a connected client,
+ * a rough token count, and a runner that counts checks and sets the exit code
+ */
+
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Create an empty temporary directory named skills-<name>-XXXXXX
+ */
+export function createTestDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `skills-${name}-`));
+}
+
+/**
+ * Create a test skill under root from raw frontmatter lines and body; returns the skill folder
+ */
+export function createRawSkill(root, dirName, frontmatter, body = `# ${dirName}`) {
+  const skillDir = path.join(root, dirName);
+  fs.mkdirSync(skillDir, { recursive: true });
+  fs.writeFileSync(path.join(skillDir, 'SKILL.md'), `---\n${frontmatter}\n---\n\n${body}\n`);
+  return skillDir;
+}
+
+/**
+ * Start a server over a skills directory, with lazy-mcp off and the usage log kept in the
+ * skills directory unless extraEnv says otherwise, and connect a client to it
+ */
+export async function connect(skillsDir, extraEnv = {}, extraArgs = []) {
+  const client = new Client({ name: "test-client", version: "0.1.0" }, { capabilities: {} });
+  await client.connect(new StdioClientTransport({
+    command: "node",
+    args: ["build/index.js", ...extraArgs],
+    env: { ...process.env, SKILLS_DIR: skillsDir, SKILLS_USAGE_FILE: path.join(skillsDir, '.usage.jsonl'), LAZY_MCP_ENABLED: 'false', ...extraEnv },
+  }));
+  return client;
+}
+
+/**
+ * Rough token count at four characters per token, independent of the server's estimator
+ */
+export function approxTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Whether a response fits a max_tokens budget, within 10% to allow for the two measures differing
+ */
+export function fitsBudget(text, maxTokens) {
+  return approxTokens(text) <= maxTokens * 1.1;
+}
+
+/**
+ * Run a test body with a check(condition, message) reporter, then remove the given
+ * directories and exit with status 1 if any check failed or the body threw
+ */
+export async function runTest({ name, intro, dirs = [] }, body) {
+  console.log(`🧪 Testing ${intro}...`);
+
+  let failures = 0;
+  const check = (condition, message) => {
+    console.log(`   ${condition ? '✅' : '❌'} ${message}`);
+    if (!condition) failures++;
+  };
+
+  try {
+    await body(check);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    failures++;
+  } finally {
+    for (const dir of dirs) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  console.log(failures === 0 ? `\n🎉 ${name} test passed!` : `\n❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Logging Test
+ * Verifies LOG_LEVEL, JSON log lines, the log file destination and MCP log notifications
+ */
+
+import { LoggingMessageNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('logging');
+const LOG_FILE = path.join(SKILLS_TEST_DIR, '.server.log');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+runTest({ name: 'Logging', intro: 'logging', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'writing', 'name: writing\ndescription: Style guide', 'Write clearly.');
+  createRawSkill(SKILLS_TEST_DIR, 'broken', 'name: broken\ndescription: Broken\nunknown_key: 1', 'Body.');
+
+  const readLog = () => fs.readFileSync(LOG_FILE, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+  const client = await connect(SKILLS_TEST_DIR, { LOG_FILE, LOG_FORMAT: 'json', LOG_LEVEL: 'debug' });
+  check(client.getServerCapabilities()?.logging !== undefined, 'Server declares the logging capability');
+
+  await client.listTools();
+  const entries = readLog();
+  check(entries.every(e => e.ts && e.level && typeof e.message === 'string'), 'Log file holds one JSON entry per line');
+  check(entries.some(e => e.level === 'info' && e.message.includes('running on stdio')), 'Startup is logged at info');
+  check(entries.some(e => e.level === 'debug' && e.message.startsWith('ListToolsRequest')), 'Tool discovery is logged at debug');
+  check(entries.some(e => e.level === 'warning' && e.message.includes('unknown_key')), 'Skill diagnostics are logged as warnings');
+
+  const messages = [];
+  client.setNotificationHandler(LoggingMessageNotificationSchema, async (notification) => { messages.push(notification.params); });
+  await client.listTools();
+  await sleep(200);
+  check(messages.length === 0, 'No log notifications before the client sets a level');
+
+  await client.setLoggingLevel('debug');
+  await client.listTools();
+  await sleep(200);
+  check(messages.some(m => m.level === 'debug' && m.logger === 'skills-server' && String(m.data).startsWith('ListToolsRequest')), 'Debug messages are sent after setLevel debug');
+
+  messages.length = 0;
+  await client.setLoggingLevel('warning');
+  await client.listTools();
+  await client.callTool({ name: 'writing', arguments: {} });
+  await sleep(200);
+  check(messages.length === 0, 'Raising the level stops lower messages');
+  await client.close();
+
+  fs.writeFileSync(LOG_FILE, '');
+  const quiet = await connect(SKILLS_TEST_DIR, { LOG_FILE, LOG_FORMAT: 'json', LOG_LEVEL: 'warn' });
+  await quiet.listTools();
+  await quiet.close();
+  const quietEntries = fs.readFileSync(LOG_FILE, 'utf-8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  check(quietEntries.length > 0 && quietEntries.every(e => e.level === 'warning' || e.level === 'error'), "LOG_LEVEL=warn keeps only warnings and errors");
+});
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Nested Skill Directory Test
+ * Verifies recursive discovery, namespaced tool names and the traversal guard
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('nested');
+const OUTSIDE_DIR = createTestDir('outside');
+
+/**
+ * Create a test skill at a path relative to the skills directory
+ */
+function createTestSkill(relDir, name, description, root = SKILLS_TEST_DIR) {
+  createRawSkill(root, relDir, `name: ${name}\ndescription: ${description}`, `# ${name}\n\nContent for ${name}.`);
+}
+
+runTest({ name: 'Nested skills', intro: 'nested skill directories', dirs: [SKILLS_TEST_DIR, OUTSIDE_DIR] }, async (check) => {
+  createTestSkill('top-level', 'top-level', 'A top-level skill');
+  createTestSkill('devops/k8s', 'k8s', 'Kubernetes operations');
+  createTestSkill('data/postgres', 'postgres', 'PostgreSQL administration');
+  createTestSkill('data/postgres/scripts', 'hidden', 'Should not load from inside a skill folder');
+  createTestSkill('escape', 'escape', 'Lives outside the skills directory', OUTSIDE_DIR);
+  fs.symlinkSync(path.join(OUTSIDE_DIR, 'escape'), path.join(SKILLS_TEST_DIR, 'devops', 'escape'));
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const { tools } = await client.listTools();
+  const names = tools.map(t => t.name);
+  check(names.includes('top-level'), 'Top-level skill keeps its plain name');
+  check(names.includes('devops_k8s'), 'Nested skill is namespaced as devops_k8s');
+  check(names.includes('data_postgres'), 'Nested skill is namespaced as data_postgres');
+  check(!names.some(n => n.endsWith('hidden')), 'Folders inside a skill are not scanned');
+  check(!names.some(n => n.endsWith('escape')), 'Symlink escaping SKILLS_DIR is rejected');
+  check(tools.find(t => t.name === 'devops_k8s')?.category === 'devops', 'Category is exposed to clients');
+
+  const result = await client.callTool({ name: 'data_postgres', arguments: {} });
+  check(result.content[0].text.includes('Content for postgres'), 'Namespaced skill can be called');
+
+  await client.close();
+});
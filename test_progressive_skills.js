@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Progressive Skill Disclosure Test
+ * Verifies that large libraries are listed through discovery tools instead of one tool per skill
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('progressive');
+
+/**
+ * Create a test skill at a path relative to the skills directory
+ */
+function createTestSkill(relDir, name, description, extra = '') {
+  createRawSkill(SKILLS_TEST_DIR, relDir, `name: ${name}\ndescription: ${description}${extra}`, `Body of ${name} for {{env|nowhere}}.`);
+}
+
+runTest({ name: 'Progressive skills', intro: 'progressive skill disclosure', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createTestSkill('devops/k8s', 'k8s', 'Kubernetes cluster operations', '\nparameters:\n  env: string');
+  createTestSkill('devops/cloud/aws', 'aws', 'AWS account administration');
+  createTestSkill('data/postgres', 'postgres', 'PostgreSQL backup and tuning');
+  createTestSkill('writing', 'writing', 'Technical writing style guide');
+
+  const json = async (client, name, args) =>
+    JSON.parse((await client.callTool({ name, arguments: args })).content[0].text);
+
+  const client = await connect(SKILLS_TEST_DIR, { SKILLS_DISCLOSURE_THRESHOLD: '3' });
+
+  const names = (await client.listTools()).tools.map(t => t.name);
+  check(!names.includes('devops_k8s') && !names.includes('writing'), 'Skills are not listed above the threshold');
+  check(['list_skill_categories', 'search_skills', 'get_skill'].every(n => names.includes(n)), 'Discovery tools are listed');
+
+  const root = await json(client, 'list_skill_categories', { category: '' });
+  check(root.categories.find(c => c.name === 'devops')?.skills === 2, 'Root lists categories with nested counts');
+  check(root.skills.some(s => s.name === 'writing'), 'Root lists uncategorized skills');
+
+  const devops = await json(client, 'list_skill_categories', { category: 'devops' });
+  check(devops.skills.some(s => s.name === 'devops_k8s') && devops.categories[0]?.path === 'devops.cloud', 'Category lists its skills and subcategories');
+
+  const search = await json(client, 'search_skills', { query: 'postgres backup' });
+  check(search.results[0]?.name === 'data_postgres', 'Search finds the matching skill');
+
+  const skill = await client.callTool({ name: 'get_skill', arguments: { skill_name: 'devops_k8s', arguments: { env: 'prod' } } });
+  check(skill.content[0].text.includes('Body of k8s for prod.'), 'get_skill returns the rendered skill');
+  await client.close();
+
+  const full = await connect(SKILLS_TEST_DIR, { SKILLS_DISCLOSURE_THRESHOLD: '3', SKILLS_DISCLOSURE: 'full' });
+  const fullNames = (await full.listTools()).tools.map(t => t.name);
+  check(fullNames.includes('devops_k8s') && !fullNames.includes('get_skill'), 'Full mode lists every skill');
+  check(fullNames.includes('search_skills'), 'Full mode lists search_skills');
+  await full.close();
+
+  const small = await connect(SKILLS_TEST_DIR);
+  const smallNames = (await small.listTools()).tools.map(t => t.name);
+  check(smallNames.includes('writing'), 'Small libraries stay in full mode by default');
+  await small.close();
+});
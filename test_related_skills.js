@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Related Skills Test
+ * Verifies `related` links are checked at load and listed in a footer of skill responses
+ */
+
+import { connect, createRawSkill, createTestDir, fitsBudget, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('related');
+
+runTest({ name: 'Related skills', intro: 'related skill links', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'data/postgres', 'name: postgres\ndescription: PostgreSQL administration\nrelated: [backups, devops.k8s, ship, missing-skill]', 'postgres body');
+  createRawSkill(SKILLS_TEST_DIR, 'backups', 'name: backups\ndescription: Backup policies\nrelated: [data_postgres, deploy@1.0.0]', 'backups body');
+  createRawSkill(SKILLS_TEST_DIR, 'devops/k8s', 'name: k8s\ndescription: Kubernetes\naliases: [ship]', 'k8s body');
+  createRawSkill(SKILLS_TEST_DIR, 'deploy-v1', 'name: deploy\ndescription: Deploy v1\nversion: "1.0.0"', 'deploy v1');
+  createRawSkill(SKILLS_TEST_DIR, 'deploy-v2', 'name: deploy\ndescription: Deploy v2\nversion: "2.0.0"', 'deploy v2');
+  createRawSkill(SKILLS_TEST_DIR, 'plain', 'name: plain\ndescription: No links', 'plain body');
+  const longBody = ['Intro paragraph.', ...Array.from({ length: 6 }, (_, i) => `# Part ${i + 1}\n\n${'Guidance sentence for this part. '.repeat(20)}`)].join('\n\n');
+  createRawSkill(SKILLS_TEST_DIR, 'handbook', 'name: handbook\ndescription: Long handbook\nrelated: [backups, plain]', longBody);
+
+  let client = await connect(SKILLS_TEST_DIR);
+  const text = async (name, args = {}) =>
+    (await client.callTool({ name, arguments: args })).content[0].text;
+
+  const postgres = await text('data_postgres');
+  check(postgres.endsWith('Related skills: `backups`, `devops_k8s` (call by tool name)'), 'Footer names callable tools, resolving namespaced names and aliases');
+  check(!postgres.includes('missing-skill'), 'Unknown related skills are left out');
+
+  const backups = await text('backups');
+  check(backups.includes('`data_postgres`, `deploy_v1_0_0`'), 'Pinned older version is named by its version tool');
+  const linked = await text('deploy_v1_0_0');
+  check(linked.includes('deploy v1'), 'Footer tool name is callable');
+
+  check(!(await text('plain')).includes('Related skills'), 'Skills without links have no footer');
+  check((await text('data_postgres', { sections: ['preamble'] })).includes('Related skills:'), 'Footer is added to section responses');
+
+  for (const maxTokens of [50, 120]) {
+    const budgeted = await text('handbook', { max_tokens: maxTokens });
+    check(fitsBudget(budgeted, maxTokens), `Footer counts against max_tokens ${maxTokens}`);
+  }
+  check((await text('handbook', { max_tokens: 120 })).includes('Related skills: `backups`, `plain`'), 'Footer is kept when the budget allows');
+
+  const diagnostics = JSON.parse(await text('skill_diagnostics')).diagnostics;
+  check(diagnostics.some(d => d.field === 'related' && d.message.includes("'missing-skill'") && d.file.includes('postgres')), 'Unknown related skill is reported');
+  check(diagnostics.filter(d => d.field === 'related').length === 1, 'Valid links are not reported');
+  await client.close();
+
+  client = await connect(SKILLS_TEST_DIR, { SKILLS_DISCLOSURE: 'progressive' });
+  check((await text('data_postgres')).endsWith('(call with get_skill)'), 'Progressive mode points at get_skill');
+  await client.close();
+});
@@ -24,7 +24,32 @@ const TEST_FILES = [
   'test_tool_execution.js',
   'test_content_delivery.js',
   'test_bridge_reliability.js',
-  'test_tool_discovery.js'
+  'test_tool_discovery.js',
+  'test_nested_skills.js',
+  'test_skill_layers.js',
+  'test_skill_files.js',
+  'test_skill_diagnostics.js',
+  'test_skill_parameters.js',
+  'test_skill_templates.js',
+  'test_skill_composition.js',
+  'test_skill_versions.js',
+  'test_duplicate_skills.js',
+  'test_tool_names.js',
+  'test_progressive_skills.js',
+  'test_skill_search.js',
+  'test_skill_tags.js',
+  'test_skill_sections.js',
+  'test_skill_pagination.js',
+  'test_token_budget.js',
+  'test_suggest_skills.js',
+  'test_related_skills.js',
+  'test_skill_profiles.js',
+  'test_skill_stats.js',
+  'test_skill_resources.js',
+  'test_skill_prompts.js',
+  'test_skill_watch.js',
+  'test_completion.js',
+  'test_logging.js'
 ];
 
 // Test results storage
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Composition Test
+ * Verifies {{> ...}} includes, `extends` inheritance and cycle detection
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('composition');
+
+runTest({ name: 'Skill composition', intro: 'skill composition', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  fs.mkdirSync(path.join(SKILLS_TEST_DIR, '_shared'), { recursive: true });
+  fs.writeFileSync(path.join(SKILLS_TEST_DIR, '_shared', 'safety.md'), 'SAFETY: never run rm -rf /.\n');
+  createRawSkill(SKILLS_TEST_DIR, 'coding-standards', 'name: coding-standards\ndescription: Shared coding standards', 'STANDARDS: use strict mode.');
+  createRawSkill(SKILLS_TEST_DIR, 'base-review', `name: base-review
+description: Base review workflow
+type: executable
+allowed_tools: [read_file]
+parameters:
+  language: string`, 'BASE: review {{language}} code.\n{{> _shared/safety.md}}');
+  createRawSkill(SKILLS_TEST_DIR, 'ts-review', 'name: ts-review\nextends: base-review', 'CHILD: check types.\n{{> coding-standards}}');
+  createRawSkill(SKILLS_TEST_DIR, 'cycle-a', 'name: cycle-a\ndescription: A\nextends: cycle-b', 'A');
+  createRawSkill(SKILLS_TEST_DIR, 'cycle-b', 'name: cycle-b\ndescription: B', '{{> cycle-a}}');
+  createRawSkill(SKILLS_TEST_DIR, 'missing-include', 'name: missing-include\ndescription: M', '{{> no-such-skill}}');
+  createRawSkill(SKILLS_TEST_DIR, 'handlebars', 'name: handlebars\ndescription: Documents partials',
+    'Render a partial with `{{> header}}`.\n\n```hbs\n{{> footer}}\n```\n\nWrite \\{{> sidebar}} to include the sidebar.');
+  createRawSkill(SKILLS_TEST_DIR, 'handlebars-params', 'name: handlebars-params\ndescription: Documents partials\nparameters:\n  theme: string',
+    'Theme {{theme}}: \\{{> sidebar}} and `{{> header}}`.');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const { tools } = await client.listTools();
+  const child = tools.find(t => t.name === 'ts-review');
+  check(child?.description === 'Base review workflow', 'Child inherits the parent description');
+  check(child?.inputSchema.properties.language?.type === 'string', 'Child inherits parent parameters');
+  check(!tools.some(t => t.name.startsWith('cycle-')), 'Skills in a cycle are not loaded');
+  check(!tools.some(t => t.name === 'missing-include'), 'Skill with a missing include is not loaded');
+
+  const text = (await client.callTool({ name: 'ts-review', arguments: { language: 'TypeScript' } })).content[0].text;
+  check(text.includes('Dynamic Execution'), 'Child inherits the executable type');
+  check(text.includes('BASE: review TypeScript code.'), 'Parent content is inherited and templated');
+  check(text.indexOf('BASE:') < text.indexOf('CHILD:'), 'Child content follows parent content');
+  check(text.includes('SAFETY: never run'), 'Shared fragment file is included');
+  check(text.includes('STANDARDS: use strict mode.'), 'Another skill is included');
+
+  const names = tools.map(t => t.name);
+  check(names.includes('handlebars') && names.includes('handlebars-params'), 'Skills documenting partials load');
+  const partials = (await client.callTool({ name: 'handlebars', arguments: {} })).content[0].text;
+  check(partials.includes('`{{> header}}`') && partials.includes('```hbs\n{{> footer}}\n```'), 'Tags in code spans and fenced blocks are left as written');
+  check(partials.includes('Write {{> sidebar}} to include'), 'Escaped include is rendered literally');
+  const themed = (await client.callTool({ name: 'handlebars-params', arguments: { theme: 'dark' } })).content[0].text;
+  check(themed.includes('Theme dark: {{> sidebar}} and `{{> header}}`.'), 'Escaped include is literal in templated skills');
+
+  const diagnostics = JSON.parse((await client.callTool({ name: 'skill_diagnostics', arguments: {} })).content[0].text).diagnostics;
+  check(diagnostics.some(d => d.message.includes('composition cycle')), 'Cycle is reported as a load error');
+  check(diagnostics.some(d => d.message.includes("'no-such-skill' not found")), 'Unknown include target is reported');
+
+  await client.close();
+});
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Frontmatter Validation Test
+ * Verifies schema checks and the skill_diagnostics report
+ */
+
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('diagnostics');
+
+runTest({ name: 'Skill diagnostics', intro: 'frontmatter validation', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'valid', 'name: valid\ndescription: A valid skill\nversion: 1.2\nallowed_tools: [read_file]');
+  createRawSkill(SKILLS_TEST_DIR, 'no-description', 'name: no-description');
+  createRawSkill(SKILLS_TEST_DIR, 'bad-enum', 'name: bad-enum\ndescription: Bad type\ntype: magic');
+  createRawSkill(SKILLS_TEST_DIR, 'bad-type', 'name: bad-type\ndescription: Bad tools\nallowed_tools: read_file');
+  createRawSkill(SKILLS_TEST_DIR, 'unknown-key', 'name: unknown-key\ndescription: Has extras\nauthor: someone');
+  createRawSkill(SKILLS_TEST_DIR, 'bad-yaml', 'name: [unclosed\ndescription: broken');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const find = (diagnostics, dir, field) =>
+    diagnostics.find(d => d.file.includes(`${path.sep}${dir}${path.sep}`) && d.field === field);
+
+  const { tools } = await client.listTools();
+  const names = tools.map(t => t.name);
+  check(names.includes('valid') && names.includes('unknown-key'), 'Valid skills and skills with warnings load');
+  check(!names.includes('bad-enum') && !names.includes('bad-type'), 'Skills with errors are not loaded');
+
+  const result = await client.callTool({ name: 'skill_diagnostics', arguments: {} });
+  const { diagnostics, errors, warnings } = JSON.parse(result.content[0].text);
+  check(find(diagnostics, 'no-description', 'description')?.severity === 'error', 'Missing required field is an error');
+  check(find(diagnostics, 'bad-enum', 'type')?.message.includes('static, executable'), 'Enum violation lists allowed values');
+  check(find(diagnostics, 'bad-type', 'allowed_tools')?.message.includes('expected string[]'), 'Type mismatch names the expected type');
+  check(find(diagnostics, 'unknown-key', 'author')?.severity === 'warning', 'Unknown key is a warning');
+  check(diagnostics.some(d => d.file.includes('bad-yaml') && d.message.includes('YAML')), 'YAML syntax error is reported');
+  check(!diagnostics.some(d => d.file.includes(`${path.sep}valid${path.sep}`)), 'Valid skill has no diagnostics');
+  check(errors === 4 && warnings === 1, 'Counts match the diagnostics');
+
+  const filtered = await client.callTool({ name: 'skill_diagnostics', arguments: { severity: 'warning' } });
+  check(JSON.parse(filtered.content[0].text).diagnostics.length === 1, 'Severity filter works');
+
+  await client.close();
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * Bundled Skill Files Test
+ * Verifies listing and reading files next to SKILL.md, and the folder restriction
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('files');
+
+runTest({ name: 'Skill files', intro: 'bundled skill files', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'deployer', 'name: deployer\ndescription: Deploys things', 'Run scripts/deploy.sh.');
+  const skillDir = path.join(SKILLS_TEST_DIR, 'deployer');
+  fs.mkdirSync(path.join(skillDir, 'scripts'));
+  fs.writeFileSync(path.join(skillDir, 'scripts', 'deploy.sh'), '#!/bin/sh\necho deploying\n');
+  fs.writeFileSync(path.join(skillDir, 'blob.bin'), Buffer.from([0, 1, 2, 3, 255]));
+  fs.writeFileSync(path.join(skillDir, 'big.txt'), 'x'.repeat(2048));
+  fs.writeFileSync(path.join(SKILLS_TEST_DIR, 'secret.txt'), 'do not serve');
+  fs.symlinkSync(path.join(SKILLS_TEST_DIR, 'secret.txt'), path.join(skillDir, 'link.txt'));
+
+  const client = await connect(SKILLS_TEST_DIR, { SKILL_FILE_MAX_BYTES: '1024' });
+
+  const expectError = async (args, message) => {
+    try {
+      await client.callTool({ name: 'read_skill_file', arguments: args });
+      check(false, message);
+    } catch (error) {
+      check(true, `${message} (${error.message})`);
+    }
+  };
+
+
+  const listing = await client.callTool({ name: 'list_skill_files', arguments: { skill: 'deployer' } });
+  const files = JSON.parse(listing.content[0].text).files.map(f => f.path);
+  check(files.includes('scripts/deploy.sh'), 'Nested bundled file is listed');
+  check(!files.includes('link.txt'), 'Symlink escaping the skill folder is not listed');
+
+  const script = await client.callTool({ name: 'read_skill_file', arguments: { skill: 'deployer', path: 'scripts/deploy.sh' } });
+  check(script.content[0].text.includes('echo deploying'), 'Text file is returned verbatim');
+
+  const blob = await client.callTool({ name: 'read_skill_file', arguments: { skill: 'deployer', path: 'blob.bin' } });
+  check(blob.content[0].text.startsWith('Binary file'), 'Binary file is summarized, not dumped');
+
+  await expectError({ skill: 'deployer', path: '../secret.txt' }, 'Parent traversal is rejected');
+  await expectError({ skill: 'deployer', path: 'link.txt' }, 'Symlink outside the skill folder is rejected');
+  await expectError({ skill: 'deployer', path: 'big.txt' }, 'Size limit is enforced');
+  await expectError({ skill: 'missing', path: 'SKILL.md' }, 'Unknown skill is rejected');
+
+  await client.close();
+});
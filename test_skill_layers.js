@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Layered Skill Search Path Test
+ * Verifies project/user/system precedence and the shadowing report
+ */
+
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const TEST_ROOT = createTestDir('layers');
+const PROJECT_DIR = path.join(TEST_ROOT, 'project');
+const USER_DIR = path.join(TEST_ROOT, 'user');
+const SYSTEM_DIR = path.join(TEST_ROOT, 'system');
+
+/**
+ * Create a test skill in the given layer directory
+ */
+function createTestSkill(root, name, content) {
+  createRawSkill(root, name, `name: ${name}\ndescription: Test skill ${name}`, content);
+}
+
+runTest({ name: 'Skill layers', intro: 'layered skill search path', dirs: [TEST_ROOT] }, async (check) => {
+  createTestSkill(SYSTEM_DIR, 'coding-standards', 'system copy');
+  createTestSkill(USER_DIR, 'coding-standards', 'user copy');
+  createTestSkill(PROJECT_DIR, 'coding-standards', 'project copy');
+  createTestSkill(SYSTEM_DIR, 'team-only', 'only in system');
+  createTestSkill(USER_DIR, 'review', 'user review');
+  createTestSkill(SYSTEM_DIR, 'review', 'system review');
+
+  const client = await connect(USER_DIR, { SKILLS_PROJECT_DIR: PROJECT_DIR, SKILLS_SYSTEM_DIR: SYSTEM_DIR });
+
+  const { tools } = await client.listTools();
+  const names = tools.map(t => t.name);
+  check(names.filter(n => n === 'coding-standards').length === 1, 'Shadowed skill is listed once');
+  check(names.includes('team-only'), 'System-only skill is visible');
+  check(tools.find(t => t.name === 'review')?.layer === 'user', 'User layer overrides system layer');
+
+  const standards = await client.callTool({ name: 'coding-standards', arguments: {} });
+  check(standards.content[0].text.includes('project copy'), 'Project layer has the highest precedence');
+
+  const layers = await client.callTool({ name: 'list_skill_layers', arguments: {} });
+  const report = JSON.parse(layers.content[0].text);
+  check(report.roots.map(r => r.layer).join(',') === 'project,user,system', 'Roots are reported in precedence order');
+  const standardsShadows = report.shadowed.filter(s => s.toolName === 'coding-standards');
+  check(standardsShadows.length === 2, 'Both lower copies are reported as shadowed');
+  check(standardsShadows.every(s => s.active.layer === 'project'), 'Shadowing report names the live copy');
+
+  await client.close();
+});
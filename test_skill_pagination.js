@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Pagination Test
+ * Verifies token-sized pages, cursors, block boundaries and the completion marker
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('pagination');
+
+/**
+ * Build a long skill body: sections of paragraphs with a code block in each
+ */
+function longBody() {
+  const parts = [];
+  for (let section = 1; section <= 6; section++) {
+    parts.push(`# Section ${section}`);
+    for (let paragraph = 1; paragraph <= 3; paragraph++) {
+      parts.push(`Paragraph ${section}.${paragraph}. ${'Some steady prose. '.repeat(8)}`);
+    }
+    parts.push(['```bash', ...Array.from({ length: 12 }, (_, i) => `echo "step ${section}.${i}"`), '', 'echo done', '```'].join('\n'));
+  }
+  return parts.join('\n\n');
+}
+
+runTest({ name: 'Skill pagination', intro: 'skill content pagination', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'long', 'name: long\ndescription: A long skill', longBody());
+  createRawSkill(SKILLS_TEST_DIR, 'short', 'name: short\ndescription: A short skill', 'Short body.');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const text = async (name, args) =>
+    (await client.callTool({ name, arguments: args })).content[0].text;
+  const split = (page) => {
+    const [body, footer] = page.split('\n\n---\n');
+    return { body, footer, cursor: /cursor "([^"]+)"/.exec(footer)?.[1] };
+  };
+
+  const full = await text('long', {});
+  const pages = [];
+  let page = split(await text('long', { page_tokens: 150 }));
+  pages.push(page);
+  while (page.cursor && pages.length < 50) {
+    page = split(await text('long', { cursor: page.cursor }));
+    pages.push(page);
+  }
+
+  check(pages.length > 3, `Long skill is split into pages (${pages.length})`);
+  check(pages.every(p => (p.body.match(/```/g) || []).length % 2 === 0), 'No page breaks inside a code block');
+  check(pages.every(p => /^(# Section|Paragraph|```)/.test(p.body)), 'Pages start on a heading, paragraph or code block');
+  check(pages.slice(0, -1).every(p => p.cursor && p.footer.includes('more tokens')), 'Every page but the last has a cursor');
+  check(!pages.at(-1).cursor && pages.at(-1).footer.includes('The content is complete'), 'Final page says the content is complete');
+  check(pages.map(p => p.body).join('\n\n').replace(/\s+/g, ' ') === full.trim().replace(/\s+/g, ' '), 'Pages add up to the full content');
+
+  const single = await text('short', { page_tokens: 500 });
+  check(single.startsWith('Short body.') && single.includes('Page 1') && single.includes('complete'), 'Short skill fits on one final page');
+
+  try {
+    await text('long', { cursor: 'not-a-cursor' });
+    check(false, 'Malformed cursor is rejected');
+  } catch (error) {
+    check(error.message.includes('Invalid cursor'), 'Malformed cursor is rejected');
+  }
+
+  const stale = pages[0].cursor;
+  fs.appendFileSync(path.join(SKILLS_TEST_DIR, 'long', 'SKILL.md'), '\nEdited.\n');
+  await new Promise(resolve => setTimeout(resolve, 5500));
+  try {
+    await text('long', { cursor: stale });
+    check(false, 'Cursor for changed content is rejected');
+  } catch (error) {
+    check(error.message.includes('changed since the cursor was issued'), 'Cursor for changed content is rejected');
+  }
+
+  await client.close();
+});
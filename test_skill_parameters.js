@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Parameters Test
+ * Verifies input schemas generated from `parameters` and argument validation
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('parameters');
+
+runTest({ name: 'Skill parameters', intro: 'skill parameter schemas', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'deploy', `name: deploy
+description: Deploy an application
+type: executable
+parameters:
+  environment:
+    type: string
+    description: Target environment
+    required: true
+    enum: [staging, production]
+  replicas:
+    type: integer
+    default: 2
+  dry_run: boolean`);
+  createRawSkill(SKILLS_TEST_DIR, 'bad-param', `name: bad-param
+description: Uses an unknown parameter type
+parameters:
+  count:
+    type: float`);
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const expectError = async (args, field, message) => {
+    try {
+      await client.callTool({ name: 'deploy', arguments: args });
+      check(false, message);
+    } catch (error) {
+      check(error.message.includes(`'${field}'`), `${message} (${error.message})`);
+    }
+  };
+
+  const { tools } = await client.listTools();
+  const schema = tools.find(t => t.name === 'deploy')?.inputSchema;
+  check(JSON.stringify(schema?.required) === '["environment"]', 'Required parameters are listed');
+  check(schema?.properties.environment.enum.length === 2, 'Enum is included in the schema');
+  check(schema?.properties.replicas.default === 2, 'Default is included in the schema');
+  check(schema?.properties.dry_run.type === 'boolean', 'Type shorthand is expanded');
+  check(schema?.properties.query?.type === 'string', 'Free-text query is kept');
+  check(!tools.some(t => t.name === 'bad-param'), 'Skill with an invalid parameter type is not loaded');
+
+  const result = await client.callTool({ name: 'deploy', arguments: { environment: 'staging' } });
+  const text = result.content[0].text;
+  check(text.includes('- environment: staging') && text.includes('- replicas: 2'), 'Valid call applies defaults');
+
+  await expectError({}, 'environment', 'Missing required parameter is named');
+  await expectError({ environment: 'qa' }, 'environment', 'Enum violation is named');
+  await expectError({ environment: 'staging', replicas: 1.5 }, 'replicas', 'Type mismatch is named');
+
+  await client.close();
+});
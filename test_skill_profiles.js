@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Profiles Test
+ * Verifies profiles selected by environment variable or CLI flag filter listing and calls
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('profiles');
+
+runTest({ name: 'Skill profiles', intro: 'skill exposure profiles', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'devops/k8s', 'name: k8s\ndescription: Kubernetes\ntags: [ops]', 'k8s body');
+  createRawSkill(SKILLS_TEST_DIR, 'devops/k8s-draft', 'name: k8s-draft\ndescription: Draft Kubernetes notes', 'draft body');
+  createRawSkill(SKILLS_TEST_DIR, 'docs/style', 'name: style\ndescription: Style guide\ntags: [writing]\nrelated: [devops.k8s]', 'style body');
+  createRawSkill(SKILLS_TEST_DIR, 'grammar', 'name: grammar\ndescription: Grammar rules\ntags: [writing]', 'grammar body');
+  createRawSkill(SKILLS_TEST_DIR, 'release-notes', 'name: release-notes\ndescription: Release notes\nextends: devops.k8s', 'notes body');
+  fs.writeFileSync(path.join(SKILLS_TEST_DIR, 'profiles.json'), JSON.stringify({
+    profiles: {
+      writing: { include: { tags: ['writing'], names: ['release-*'] } },
+      ops: { include: { categories: ['devops'] }, exclude: { names: ['*-draft'] } }
+    }
+  }));
+
+  const skillNames = async (client) =>
+    (await client.listTools()).tools.filter(t => t.layer).map(t => t.name).sort().join(',');
+
+  const writing = await connect(SKILLS_TEST_DIR, { SKILLS_PROFILE: 'writing' });
+  check(await skillNames(writing) === 'docs_style,grammar,release-notes', 'Env profile includes by tag and name glob');
+  const notes = (await writing.callTool({ name: 'release-notes', arguments: {} })).content[0].text;
+  check(notes.includes('k8s body') && notes.includes('notes body'), 'Visible skill can extend a hidden one');
+  try {
+    await writing.callTool({ name: 'devops_k8s', arguments: {} });
+    check(false, 'Hidden skill cannot be called');
+  } catch (error) {
+    check(error.message.includes('not found'), 'Hidden skill cannot be called');
+  }
+  const catalog = JSON.parse((await writing.callTool({ name: 'skill_catalog', arguments: {} })).content[0].text);
+  check(catalog.total === 3, 'Discovery tools only see exposed skills');
+  const diagnostics = JSON.parse((await writing.callTool({ name: 'skill_diagnostics', arguments: {} })).content[0].text).diagnostics;
+  check(!diagnostics.some(d => d.field === 'related'), 'Links to hidden skills are not reported');
+  await writing.close();
+
+  const ops = await connect(SKILLS_TEST_DIR, { SKILLS_PROFILE: 'writing' }, ['--profile', 'ops']);
+  check(await skillNames(ops) === 'devops_k8s', 'CLI flag wins and excludes by name glob inside an included category');
+  await ops.close();
+
+  const all = await connect(SKILLS_TEST_DIR);
+  check((await skillNames(all)).split(',').length === 5, 'Without a profile every skill is exposed');
+  await all.close();
+
+  const unknown = spawnSync('node', ['build/index.js', '--profile=missing'], {
+    env: { ...process.env, SKILLS_DIR: SKILLS_TEST_DIR, LAZY_MCP_ENABLED: 'false' },
+    input: '',
+    encoding: 'utf-8',
+    timeout: 10000
+  });
+  check(unknown.status === 1 && unknown.stderr.includes("Unknown skill profile 'missing' (available: writing, ops)"), 'Unknown profile stops the server with the available names');
+});
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Prompts Test
+ * Verifies skills are listed as MCP prompts with their parameters as arguments
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('prompts');
+
+runTest({ name: 'Skill prompts', intro: 'skill prompts', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'deploy', [
+    'name: deploy',
+    'description: Deploy a service',
+    'parameters:',
+    '  service:',
+    '    type: string',
+    '    description: Service to deploy',
+    '    required: true',
+    '  env:',
+    '    type: string',
+    '    enum: [staging, prod]',
+    '    default: staging',
+    '  replicas:',
+    '    type: integer',
+    '  dry_run:',
+    '    type: boolean'
+  ].join('\n'), 'Deploy {{service}} to {{env}}{{#replicas}} with {{replicas}} replicas{{/replicas}}.{{#dry_run}} Dry run only.{{/dry_run}}');
+  createRawSkill(SKILLS_TEST_DIR, 'triage', 'name: triage\ndescription: Triage an incident\ntype: executable\nallowed_tools: [read_file]', 'Look at the logs.');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const rejects = async (params, expected, message) => {
+    try {
+      await client.getPrompt(params);
+      check(false, message);
+    } catch (error) {
+      check(error.message.includes(expected), message);
+    }
+  };
+
+  check(client.getServerCapabilities()?.prompts !== undefined, 'Server declares the prompts capability');
+
+  const { prompts } = await client.listPrompts();
+  const deploy = prompts.find(p => p.name === 'deploy');
+  check(deploy?.description === 'Deploy a service', 'Skill is listed as a prompt');
+  const args = Object.fromEntries((deploy?.arguments || []).map(a => [a.name, a]));
+  check(args.service?.required === true && args.service?.description === 'Service to deploy', 'Required parameter becomes a required argument');
+  check(args.env?.required === false && args.env?.description.includes('"prod"') && args.env?.description.includes('default "staging"'), 'Allowed values and default are described');
+  check(args.replicas?.description === '(integer)', 'Non-string type is described');
+  check(prompts.find(p => p.name === 'triage')?.arguments.some(a => a.name === 'query'), 'Executable skill takes a query argument');
+
+  const result = await client.getPrompt({ name: 'deploy', arguments: { service: 'api', replicas: '3', dry_run: 'true' } });
+  check(result.messages.length === 1 && result.messages[0].role === 'user', 'Prompt renders to one user message');
+  check(result.messages[0].content.text.includes('Deploy api to staging with 3 replicas. Dry run only.'), 'String arguments are converted to declared types');
+
+  const triage = await client.getPrompt({ name: 'triage', arguments: { query: 'disk full' } });
+  check(triage.messages[0].content.text.includes('disk full'), 'Executable skill renders its instructions');
+
+  await rejects({ name: 'deploy', arguments: {} }, "missing required parameter 'service'", 'Missing required argument is rejected');
+  await rejects({ name: 'deploy', arguments: { service: 'api', replicas: 'many' } }, "'replicas' must be of type integer", 'Unparseable argument is rejected');
+  await rejects({ name: 'deploy', arguments: { service: 'api', color: 'red' } }, "unknown argument 'color'", 'Unknown argument is rejected');
+  await rejects({ name: 'missing' }, "Prompt 'missing' not found", 'Unknown prompt is rejected');
+
+  await client.close();
+});
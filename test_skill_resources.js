@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Resources Test
+ * Verifies skills, sections and bundled files are listed and readable as skill:// resources
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('resources');
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+runTest({ name: 'Skill resources', intro: 'skill:// resources', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  const k8sDir = createRawSkill(SKILLS_TEST_DIR, 'devops/k8s', 'name: k8s\ndescription: Kubernetes operations\nparameters:\n  env:\n    type: string\n    default: staging',
+    'Deploy to {{env}}.\n\n# Rollback\n\nUndo the last release.\n\n# Scaling\n\nAdd replicas.');
+  fs.mkdirSync(path.join(k8sDir, 'scripts'));
+  fs.writeFileSync(path.join(k8sDir, 'scripts', 'deploy.sh'), '#!/bin/sh\necho deploy\n');
+  fs.writeFileSync(path.join(k8sDir, 'diagram.png'), PNG_BYTES);
+  createRawSkill(SKILLS_TEST_DIR, 'writing', 'name: writing\ndescription: Style guide', 'Write clearly.');
+  createRawSkill(SKILLS_TEST_DIR, 'release', 'name: release\ndescription: Release a service\nparameters:\n  service: string', 'Release {{service}} now.');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const read = async (uri) => (await client.readResource({ uri })).contents[0];
+
+  check(client.getServerCapabilities()?.resources !== undefined, 'Server declares the resources capability');
+
+  const { resources } = await client.listResources();
+  const k8s = resources.find(r => r.uri === 'skill://devops_k8s');
+  check(k8s?.mimeType === 'text/markdown' && k8s?.description === 'Kubernetes operations', 'Skill is listed as a markdown resource');
+  check(resources.some(r => r.uri === 'skill://writing'), 'Every skill is listed');
+  check(resources.find(r => r.uri === 'skill://devops_k8s/files/scripts/deploy.sh')?.mimeType === 'text/x-shellscript', 'Bundled file is listed with its MIME type');
+  check(!resources.some(r => r.uri.endsWith('/SKILL.md')), 'SKILL.md is not listed twice');
+
+  const { resourceTemplates } = await client.listResourceTemplates();
+  const templates = resourceTemplates.map(t => t.uriTemplate);
+  check(templates.includes('skill://{name}') && templates.includes('skill://{name}/{section}'), 'Skill and section templates are listed');
+
+  const full = await read('skill://devops_k8s');
+  check(full.mimeType === 'text/markdown' && full.text.includes('Deploy to staging.') && full.text.includes('Add replicas.'), 'Skill resource renders with parameter defaults');
+  check((await read('skill://devops.k8s')).text === full.text, 'Namespaced skill name resolves too');
+
+  const release = (await read('skill://release')).text;
+  check(release.includes('Release {{service}} now.'), 'Placeholders without a default stay as written');
+  check(release.includes('`service`') && release.includes('Call the `release` tool or the `release` prompt'), 'Note points to the tool and prompt for filling them in');
+
+  const section = await read('skill://devops_k8s/rollback');
+  check(section.text.startsWith('# Rollback') && !section.text.includes('Add replicas.'), 'Section template returns one section');
+
+  const script = await read('skill://devops_k8s/files/scripts/deploy.sh');
+  check(script.text.includes('echo deploy') && script.mimeType === 'text/x-shellscript', 'Text file is returned as text');
+  const image = await read('skill://devops_k8s/files/diagram.png');
+  check(image.mimeType === 'image/png' && Buffer.from(image.blob, 'base64').equals(PNG_BYTES), 'Binary file is returned as a base64 blob');
+
+  for (const [uri, expected] of [['skill://missing', "no skill 'missing'"], ['skill://devops_k8s/files/../../etc/passwd', 'must be relative'], ['other://x', 'not found']]) {
+    try {
+      await read(uri);
+      check(false, `${uri} is rejected`);
+    } catch (error) {
+      check(error.message.includes(expected), `${uri} is rejected`);
+    }
+  }
+
+  await client.close();
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Search Test
+ * Verifies BM25 ranking, scores, snippets and index rebuilds after skill changes
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('search');
+
+runTest({ name: 'Skill search', intro: 'ranked skill search', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'postgres', 'name: postgres\ndescription: PostgreSQL administration', '# Postgres\n\nRun pg_dump nightly to take a backup of every database.\n\nTune autovacuum for large tables.');
+  createRawSkill(SKILLS_TEST_DIR, 'backups', 'name: backups\ndescription: Backup policies for file servers', '# Backups\n\nKeep three backups of each volume, one offsite.');
+  createRawSkill(SKILLS_TEST_DIR, 'tagged', 'name: release\ndescription: Ship a release\ntags: [changelog, semver]', '# Release\n\nTag the commit and publish.');
+  createRawSkill(SKILLS_TEST_DIR, 'writing', 'name: writing\ndescription: Technical writing style guide', '# Writing\n\nPrefer short sentences.');
+
+  const client = await connect(SKILLS_TEST_DIR);
+  const search = async (query, limit) =>
+    JSON.parse((await client.callTool({ name: 'search_skills', arguments: { query, limit } })).content[0].text).results;
+
+  const backup = await search('backup');
+  check(backup[0]?.name === 'backups', 'Name match ranks above a body-only match');
+  check(backup.some(r => r.name === 'postgres'), 'Body content is searched');
+  check(backup[0]?.score > backup[1]?.score, 'Results carry descending scores');
+
+  const dump = await search('pg_dump nightly');
+  check(dump[0]?.name === 'postgres' && dump[0]?.snippet.includes('pg_dump nightly'), 'Snippet shows the matching body line');
+
+  check((await search('semver'))[0]?.name === 'release', 'Tags are searched');
+  check((await search('kubernetes')).length === 0, 'Unmatched query returns no results');
+  check((await search('backup', 1)).length === 1, 'Limit is respected');
+
+  createRawSkill(SKILLS_TEST_DIR, 'vacuum', 'name: vacuum\ndescription: Autovacuum tuning guide', '# Vacuum\n\nAutovacuum settings.');
+  await new Promise(resolve => setTimeout(resolve, 5500));
+  check((await search('autovacuum'))[0]?.name === 'vacuum', 'New skill is searchable after the cache expires');
+
+  await client.close();
+});
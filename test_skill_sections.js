@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Sections Test
+ * Verifies the table of contents with token estimates and fetching named sections
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('sections');
+
+runTest({ name: 'Skill sections', intro: 'skill sections and table of contents', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'runbook', 'name: runbook\ndescription: Large runbook', [
+    'Read this first.',
+    '',
+    '# Setup',
+    '',
+    'Install the tools.',
+    '',
+    '## Credentials',
+    '',
+    'Ask for access.',
+    '',
+    '```bash',
+    '# not a heading',
+    'login',
+    '```',
+    '',
+    '# Deploy',
+    '',
+    `${'Roll out carefully. '.repeat(40)}`,
+    '',
+    '# Setup',
+    '',
+    'A second setup section.'
+  ].join('\n'));
+  createRawSkill(SKILLS_TEST_DIR, 'handbook', 'name: handbook\ndescription: Very large handbook', `# Handbook\n\n${'Follow every step in order. '.repeat(500)}`);
+  createRawSkill(SKILLS_TEST_DIR, 'reserved', 'name: reserved\ndescription: Reserved parameter\nparameters:\n  toc: boolean', 'reserved body');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const text = async (args) =>
+    (await client.callTool({ name: 'runbook', arguments: args })).content[0].text;
+
+  const toc = JSON.parse(await text({ toc: true }));
+  check(toc.sections.map(s => s.id).join(',') === 'preamble,setup,credentials,deploy,setup-2', 'Table of contents lists headings outside code blocks');
+  check(toc.sections.find(s => s.id === 'credentials')?.level === 2, 'Heading levels are reported');
+  const deploy = toc.sections.find(s => s.id === 'deploy');
+  check(deploy?.tokens > 150 && deploy.tokens > toc.sections.find(s => s.id === 'credentials').tokens, 'Sections carry token estimates');
+  check(toc.tokens >= toc.sections.reduce((sum, s) => s.level <= 1 ? sum + s.tokens : sum, 0), 'Total estimate covers every top-level section');
+
+  const setup = await text({ sections: ['setup'] });
+  check(setup.startsWith('# Setup') && setup.includes('Ask for access.') && !setup.includes('Roll out'), 'Section includes its subsections only');
+
+  const two = await text({ sections: ['Credentials', 'deploy'] });
+  check(two.startsWith('## Credentials') && two.includes('# not a heading') && two.includes('# Deploy'), 'Sections are matched by title or id');
+
+  const full = await text({});
+  check(full.includes('Read this first.') && full.includes('A second setup section.'), 'Without options the whole skill is returned');
+
+  try {
+    await text({ sections: ['missing'] });
+    check(false, 'Unknown section is rejected');
+  } catch (error) {
+    check(error.message.includes("no section 'missing'") && error.message.includes('deploy'), 'Unknown section error lists available sections');
+  }
+
+  const { tools } = await client.listTools();
+  const optionNames = ['toc', 'sections', 'page_tokens', 'cursor', 'max_tokens'];
+  check(optionNames.every(name => !(name in tools.find(t => t.name === 'runbook').inputSchema.properties)), 'Smaller skills leave the call options out of their schema');
+  check(optionNames.every(name => name in tools.find(t => t.name === 'handbook').inputSchema.properties), 'Large skills list the call options in their schema');
+
+  const diagnostics = JSON.parse((await client.callTool({ name: 'skill_diagnostics', arguments: {} })).content[0].text).diagnostics;
+  check(diagnostics.some(d => d.field === 'parameters.toc' && d.message.includes('reserved')), 'Parameter named after a call option is rejected');
+  await client.close();
+
+  const progressive = await connect(SKILLS_TEST_DIR, { SKILLS_DISCLOSURE: 'progressive' });
+  const getSkill = (await progressive.listTools()).tools.find(t => t.name === 'get_skill');
+  check(optionNames.every(name => name in getSkill.inputSchema.properties.arguments.properties), 'get_skill documents the call options');
+  await progressive.close();
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Usage Stats Test
+ * Verifies skill calls are appended to the usage log and reported by skills_stats and the CLI
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('stats');
+const USAGE_FILE = path.join(SKILLS_TEST_DIR, '.usage.jsonl');
+
+runTest({ name: 'Skill stats', intro: 'skill usage stats', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'devops/k8s', 'name: k8s\ndescription: Kubernetes\nparameters:\n  env: string', 'Deploy to {{env}}.');
+  createRawSkill(SKILLS_TEST_DIR, 'postgres', 'name: postgres\ndescription: PostgreSQL', 'postgres body');
+  createRawSkill(SKILLS_TEST_DIR, 'unused', 'name: unused\ndescription: Never called', 'unused body');
+  const oldRecord = { ts: '2020-01-01T00:00:00.000Z', skill: 'postgres', tool: 'postgres', version: 'latest', args: [], chars: 10, tokens: 3 };
+  fs.writeFileSync(USAGE_FILE, `${JSON.stringify(oldRecord)}\nnot json\n`);
+
+  const client = await connect(SKILLS_TEST_DIR);
+  for (let i = 0; i < 3; i++) {
+    await client.callTool({ name: 'devops_k8s', arguments: { env: 'secret-prod' } });
+  }
+  await client.callTool({ name: 'get_skill', arguments: { skill_name: 'postgres', arguments: { toc: true } } });
+  await client.callTool({ name: 'search_skills', arguments: { query: 'postgres' } });
+
+  const lines = fs.readFileSync(USAGE_FILE, 'utf-8').trim().split('\n');
+  check(lines[0] === JSON.stringify(oldRecord) && lines.length === 6, 'Calls are appended to the existing log');
+  const record = JSON.parse(lines[2]);
+  check(record.skill === 'devops.k8s' && record.tool === 'devops_k8s' && record.version === 'latest', 'Record names the skill and version');
+  check(JSON.stringify(record.args) === '["env"]' && !lines[2].includes('secret-prod'), 'Argument keys are recorded, values are not');
+  check(record.chars > 0 && record.tokens > 0 && !isNaN(Date.parse(record.ts)), 'Response size and timestamp are recorded');
+
+  const all = JSON.parse((await client.callTool({ name: 'skills_stats', arguments: {} })).content[0].text);
+  check(all.total_calls === 5 && all.most_used[0]?.skill === 'devops.k8s' && all.most_used[0]?.calls === 3, 'Most used skill comes first');
+  check(all.least_used[0]?.skill === 'postgres' && all.least_used[0]?.calls === 2, 'Least used skill comes first in its list');
+  check(JSON.stringify(all.never_used) === '["unused"]', 'Never used skills are listed');
+  check(all.over_time[0]?.date === '2020-01-01' && all.over_time.at(-1)?.calls === 4, 'Calls are counted per day');
+
+  const recent = JSON.parse((await client.callTool({ name: 'skills_stats', arguments: { days: 7, limit: 1 } })).content[0].text);
+  check(recent.total_calls === 4 && recent.most_used.length === 1, 'days and limit narrow the report');
+  await client.close();
+
+  const cli = spawnSync('node', ['build/index.js', 'stats', '--json'], {
+    env: { ...process.env, SKILLS_DIR: SKILLS_TEST_DIR, SKILLS_USAGE_FILE: USAGE_FILE, LAZY_MCP_ENABLED: 'false' },
+    encoding: 'utf-8',
+    timeout: 10000
+  });
+  check(cli.status === 0 && JSON.parse(cli.stdout).total_calls === 5, 'CLI prints the report as JSON');
+  const text = spawnSync('node', ['build/index.js', 'stats', '--days', '7'], {
+    env: { ...process.env, SKILLS_DIR: SKILLS_TEST_DIR, SKILLS_USAGE_FILE: USAGE_FILE, LAZY_MCP_ENABLED: 'false' },
+    encoding: 'utf-8',
+    timeout: 10000
+  });
+  check(text.stdout.includes('4 calls to 2 skills') && text.stdout.includes('Never used (1):'), 'CLI prints a text report');
+
+  const untracked = await connect(SKILLS_TEST_DIR, { SKILLS_USAGE_TRACKING: 'false' });
+  await untracked.callTool({ name: 'postgres', arguments: {} });
+  check(fs.readFileSync(USAGE_FILE, 'utf-8').trim().split('\n').length === 6, 'SKILLS_USAGE_TRACKING=false records nothing');
+  await untracked.close();
+
+  const home = createTestDir('stats-home');
+  const defaults = await connect(SKILLS_TEST_DIR, { HOME: home, SKILLS_USAGE_FILE: '' });
+  await defaults.callTool({ name: 'postgres', arguments: {} });
+  await defaults.close();
+  const defaultFile = path.join(home, '.skills-server', 'usage.jsonl');
+  check(fs.existsSync(defaultFile) && JSON.parse(fs.readFileSync(defaultFile, 'utf-8')).skill === 'postgres', 'Usage log defaults to ~/.skills-server/usage.jsonl');
+  check(fs.readFileSync(USAGE_FILE, 'utf-8').trim().split('\n').length === 6, 'Default log is not written inside SKILLS_DIR');
+  fs.rmSync(home, { recursive: true, force: true });
+});
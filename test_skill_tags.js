@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Tags and Categories Test
+ * Verifies tags/category frontmatter, all/any/exclude tag filters and the grouped catalog
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('tags');
+
+runTest({ name: 'Skill tags', intro: 'skill tags and categories', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'postgres', 'name: postgres\ndescription: PostgreSQL backups\ncategory: data.sql\ntags: [Database, backup]', 'pg_dump backup steps');
+  createRawSkill(SKILLS_TEST_DIR, 'redis', 'name: redis\ndescription: Redis operations\ncategory: data\ntags: [database, cache]', 'redis steps');
+  createRawSkill(SKILLS_TEST_DIR, 'vault', 'name: vault\ndescription: Secret storage\ncategory: security\ntags: [secrets, backup]', 'vault backup steps');
+  createRawSkill(SKILLS_TEST_DIR, 'ops/audit', 'name: audit\ndescription: Security audit\ntags: [security]', 'audit steps');
+  createRawSkill(SKILLS_TEST_DIR, 'bad', 'name: bad\ndescription: Bad category\ncategory: "a..b"', 'bad steps');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const json = async (name, args = {}) =>
+    JSON.parse((await client.callTool({ name, arguments: args })).content[0].text);
+  const names = (skills) => skills.map(s => s.name).sort().join(',');
+
+  const { tools } = await client.listTools();
+  const postgres = tools.find(t => t.name === 'postgres');
+  check(postgres?.category === 'data.sql', 'Declared category replaces the folder category');
+  check(JSON.stringify(postgres?.tags) === '["database","backup"]', 'Tags are listed in lowercase');
+  check(tools.find(t => t.name === 'ops_audit')?.category === 'ops', 'Folder category is the default');
+
+  const catalog = await json('skill_catalog');
+  check(catalog.total === 4, 'Catalog counts every skill');
+  check(catalog.categories.map(c => `${c.category}:${c.count}`).join(',') === 'data:1,data.sql:1,ops:1,security:1', 'Catalog groups skills per category with counts');
+
+  check(names((await json('skill_catalog', { category: 'data' })).categories.flatMap(c => c.skills)) === 'postgres,redis', 'Category filter includes subcategories');
+  check(names((await json('skill_catalog', { tags: ['database', 'backup'] })).categories.flatMap(c => c.skills)) === 'postgres', 'All-of tag filter');
+  check(names((await json('skill_catalog', { any_tags: ['cache', 'secrets'] })).categories.flatMap(c => c.skills)) === 'redis,vault', 'Any-of tag filter');
+  check(names((await json('skill_catalog', { exclude_tags: 'backup' })).categories.flatMap(c => c.skills)) === 'ops_audit,redis', 'Exclude tag filter');
+
+  const browse = await json('list_skill_categories', { category: '', tags: ['database'] });
+  check(browse.categories.length === 1 && browse.categories[0].skills === 2, 'Browsing honors tag filters');
+
+  const search = await json('search_skills', { query: 'backup', exclude_tags: ['database'] });
+  check(names(search.results) === 'vault', 'Search honors tag filters');
+
+  const diagnostics = (await json('skill_diagnostics')).diagnostics;
+  check(diagnostics.some(d => d.file.includes('bad') && d.field === 'category'), 'Invalid category is reported');
+
+  await client.close();
+});
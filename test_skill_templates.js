@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Templating Test
+ * Verifies placeholders, defaults, optional sections, escaping and unresolved reporting
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('templates');
+
+runTest({ name: 'Skill templates', intro: 'skill content templating', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'db-backup', `name: db-backup
+description: Back up a database
+parameters:
+  database:
+    type: string
+    required: true
+  language:
+    type: string
+    default: bash
+  schedule: string
+  table: string`, `Back up {{database}} using {{language}}.
+Retention: {{retention_days|30}} days.
+{{#schedule}}Run on schedule {{schedule}}.{{/schedule}}{{^schedule}}Run once now.{{/schedule}}
+Literal: \\{{database}}
+Table: {{table}}`);
+  createRawSkill(SKILLS_TEST_DIR, 'flags', `name: flags
+description: Boolean and number placeholders
+parameters:
+  verbose: boolean
+  retries: integer`, `Verbose is {{verbose}}. Retries: {{retries|3}}.
+{{#verbose}}Verbose output on.{{/verbose}}{{^verbose}}Verbose output off.{{/verbose}}
+{{#retries}}Retrying.{{/retries}}`);
+  createRawSkill(SKILLS_TEST_DIR, 'plain', `name: plain
+description: No parameters declared`, 'Workflow uses ${{ secrets.TOKEN }} verbatim.');
+  createRawSkill(SKILLS_TEST_DIR, 'broken', `name: broken
+description: Unclosed section
+parameters:
+  env: string`, '{{#env}}never closed');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const once = (await client.callTool({ name: 'db-backup', arguments: { database: 'orders' } })).content[0].text;
+  check(once.includes('Back up orders using bash.'), 'Placeholders and parameter defaults are filled');
+  check(once.includes('Retention: 30 days.'), 'Inline fallback is used');
+  check(once.includes('Run once now.') && !once.includes('Run on schedule'), 'Inverted section renders when unset');
+  check(once.includes('Literal: {{database}}'), 'Escaped placeholder is kept literally');
+  check(!once.includes('{{table}}') && once.includes('Unresolved placeholders: `table`'), 'Unresolved placeholder is reported');
+
+  const scheduled = (await client.callTool({
+    name: 'db-backup',
+    arguments: { database: 'orders', schedule: 'nightly', table: 'items' }
+  })).content[0].text;
+  check(scheduled.includes('Run on schedule nightly.') && !scheduled.includes('Run once now.'), 'Optional section renders when set');
+  check(!scheduled.includes('Unresolved placeholders'), 'No notice when everything resolves');
+
+  const flags = (await client.callTool({ name: 'flags', arguments: { verbose: false, retries: 0 } })).content[0].text;
+  check(flags.includes('Verbose is false. Retries: 0.'), 'false and 0 fill placeholders instead of the fallback');
+  check(!flags.includes('Unresolved placeholders'), 'false and 0 are not reported as unresolved');
+  check(flags.includes('Verbose output off.') && !flags.includes('Verbose output on.'), 'false leaves a section out and renders its inverse');
+  check(flags.includes('Retrying.'), '0 counts as set for a section, as before');
+
+  const plain = (await client.callTool({ name: 'plain', arguments: {} })).content[0].text;
+  check(plain.includes('${{ secrets.TOKEN }}'), 'Skills without parameters are not templated');
+
+  const diagnostics = JSON.parse((await client.callTool({ name: 'skill_diagnostics', arguments: {} })).content[0].text).diagnostics;
+  check(diagnostics.some(d => d.file.includes('broken') && d.message.includes('never closed')), 'Unbalanced section is a load error');
+  check(diagnostics.some(d => d.file.includes('db-backup') && d.message.includes("'retention_days'")), 'Undeclared placeholder is a warning');
+
+  await client.close();
+});
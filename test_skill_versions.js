@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Versions Test
+ * Verifies side-by-side versions, semver `latest` and name@version selection
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('versions');
+
+/**
+ * Create one version of a skill (deploy by default) in its own folder
+ */
+function createVersion(dirName, version, { name = 'deploy', quoted = true } = {}) {
+  createRawSkill(SKILLS_TEST_DIR, dirName, [
+    `name: ${name}`,
+    `description: Deploy version ${version}`,
+    `skill_id: acme-${name}`,
+    `version: ${quoted ? `"${version}"` : version}`
+  ].join('\n'), `Deploy instructions v${version}.`);
+}
+
+runTest({ name: 'Skill versions', intro: 'side-by-side skill versions', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createVersion('deploy-v1', '1.0.0');
+  createVersion('deploy-v1-1', '1.1.0');
+  createVersion('deploy-v10', '10.0.0');
+  createVersion('deploy-v11-beta', '11.0.0-beta.1');
+  // Unquoted, YAML would read these as the numbers 2.9, 2.1 and 1
+  createVersion('release-v2-9', '2.9', { name: 'release', quoted: false });
+  createVersion('release-v2-10', '2.10', { name: 'release', quoted: false });
+  createVersion('release-v1-0', '1.0', { name: 'release', quoted: false });
+
+  const text = async (client, name) =>
+    (await client.callTool({ name, arguments: {} })).content[0].text;
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const { tools } = await client.listTools();
+  const deployTools = tools.filter(t => t.name.startsWith('deploy'));
+  check(deployTools.length === 1, 'Only the latest version is listed by default');
+  check(deployTools[0]?.version === '10.0.0', 'Latest is chosen by semver, not string order, and skips prereleases');
+
+  check((await text(client, 'deploy')).includes('v10.0.0'), 'Unversioned call gets the latest');
+  check((await text(client, 'deploy@1.0.0')).includes('v1.0.0'), 'Exact version can be requested');
+  check((await text(client, 'deploy@1')).includes('v1.1.0'), 'Partial version picks the newest match');
+  check((await text(client, 'deploy@11.0.0-beta.1')).includes('v11.0.0-beta.1'), 'Prerelease can be pinned');
+  check((await text(client, 'acme-deploy@1.0.0')).includes('v1.0.0'), 'skill_id@version is accepted');
+
+  check(tools.find(t => t.name === 'release')?.version === '2.10', 'Unquoted 2.10 is newer than 2.9');
+  check((await text(client, 'release@2.10')).includes('v2.10.'), 'Unquoted 2.10 can be pinned');
+  check((await text(client, 'release@1.0')).includes('v1.0.'), 'Unquoted 1.0 keeps its trailing zero');
+
+  try {
+    await text(client, 'deploy@9.9.9');
+    check(false, 'Unknown version is rejected');
+  } catch (error) {
+    check(error.message.includes('available: 11.0.0-beta.1, 10.0.0, 1.1.0, 1.0.0'), 'Unknown version error lists available versions');
+  }
+  await client.close();
+
+  const allClient = await connect(SKILLS_TEST_DIR, { SKILLS_LIST_ALL_VERSIONS: 'true' });
+  const all = (await allClient.listTools()).tools.map(t => t.name);
+  check(all.includes('deploy') && all.includes('deploy_v1_0_0') && all.includes('deploy_v1_1_0'), 'SKILLS_LIST_ALL_VERSIONS lists older versions');
+  const pinned = (await allClient.callTool({ name: 'deploy_v1_0_0', arguments: {} })).content[0].text;
+  check(pinned.includes('v1.0.0'), 'Listed version tool calls that version');
+  await allClient.close();
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Watch Test
+ * Verifies file changes reload skills without polling and send list_changed notifications
+ */
+
+import {
+  PromptListChangedNotificationSchema,
+  ResourceListChangedNotificationSchema,
+  ToolListChangedNotificationSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import fs from 'fs';
+import path from 'path';
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('watch');
+// Project layer that does not exist when the server starts
+const PROJECT_DIR = `${SKILLS_TEST_DIR}-project`;
+
+/**
+ * Create or overwrite a test skill
+ */
+function writeSkill(dirName, description, body = 'Body.', root = SKILLS_TEST_DIR) {
+  createRawSkill(root, dirName, `name: ${path.basename(dirName)}\ndescription: ${description}`, body);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+runTest({ name: 'Skill watch', intro: 'skill file watching', dirs: [SKILLS_TEST_DIR, PROJECT_DIR] }, async (check) => {
+  writeSkill('alpha', 'Alpha skill');
+  writeSkill('beta', 'Beta skill');
+
+  const client = await connect(SKILLS_TEST_DIR, { SKILLS_PROJECT_DIR: PROJECT_DIR, SKILLS_WATCH_DEBOUNCE: '100' });
+
+  const notifications = { tools: 0, resources: 0, prompts: 0 };
+  client.setNotificationHandler(ToolListChangedNotificationSchema, async () => { notifications.tools++; });
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, async () => { notifications.resources++; });
+  client.setNotificationHandler(PromptListChangedNotificationSchema, async () => { notifications.prompts++; });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 50 && !condition(); i++) await sleep(100);
+    return condition();
+  };
+  const tools = async () => (await client.listTools()).tools;
+
+  const capabilities = client.getServerCapabilities();
+  check(capabilities?.tools?.listChanged && capabilities?.resources?.listChanged && capabilities?.prompts?.listChanged, 'Server declares listChanged for tools, resources and prompts');
+  check((await tools()).some(t => t.name === 'alpha'), 'Initial skills are listed');
+  await sleep(300);
+
+  // A burst of edits is debounced into one reload
+  writeSkill('gamma', 'Gamma skill');
+  writeSkill('alpha', 'Alpha skill, revised');
+  writeSkill('alpha', 'Alpha skill, revised twice');
+  check(await waitFor(() => notifications.tools > 0), 'Tool list change is notified');
+  await sleep(500);
+  check(notifications.tools === 1, 'A burst of edits sends one notification');
+  check(notifications.resources === 1 && notifications.prompts === 1, 'Resource and prompt list changes are notified');
+
+  const listed = await tools();
+  check(listed.some(t => t.name === 'gamma'), 'New skill is listed without waiting for the cache');
+  check(listed.find(t => t.name === 'alpha')?.description === 'Alpha skill, revised twice', 'Edited skill is reloaded');
+  check(listed.find(t => t.name === 'beta')?.description === 'Beta skill', 'Unchanged skill is kept');
+
+  fs.rmSync(path.join(SKILLS_TEST_DIR, 'beta'), { recursive: true, force: true });
+  check(await waitFor(() => notifications.tools === 2), 'Removing a skill is notified');
+  check(!(await tools()).some(t => t.name === 'beta'), 'Removed skill is no longer listed');
+
+  // Calls append to the usage log inside SKILLS_DIR; that must not trigger reloads
+  await client.callTool({ name: 'alpha', arguments: {} });
+  await sleep(500);
+  check(notifications.tools === 2, 'Writing the usage log does not reload skills');
+
+  // A layer created after startup is polled until it exists, then watched
+  writeSkill('newskill', 'New project skill', 'Body.', PROJECT_DIR);
+  let found = false;
+  for (let i = 0; i < 80 && !found; i++) {
+    found = (await tools()).some(t => t.name === 'newskill');
+    if (!found) await sleep(100);
+  }
+  check(found, 'Skill in a layer created after startup is picked up');
+  writeSkill('newskill', 'New project skill, revised', 'Body.', PROJECT_DIR);
+  check(await waitFor(() => notifications.tools === 3), 'The new layer is watched once it exists');
+  check((await tools()).find(t => t.name === 'newskill')?.description === 'New project skill, revised', 'Edits in the new layer are reloaded');
+
+  await client.close();
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Skill Suggestions Test
+ * Verifies suggest_skills ranks skills for a task from metadata and explains each match
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('suggest');
+
+runTest({ name: 'Skill suggestions', intro: 'skill suggestions', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'postgres', 'name: postgres-backup\ndescription: Back up and restore PostgreSQL databases\ntags: [database]\nwhen_to_use: restoring a database after data loss', 'pg_dump steps');
+  createRawSkill(SKILLS_TEST_DIR, 'k8s', 'name: k8s-deploy\ndescription: Deploy services to Kubernetes\ntags: [deploy]', 'kubectl steps');
+  createRawSkill(SKILLS_TEST_DIR, 'review', 'name: code-review\ndescription: Review a pull request\nwhen_to_use: before merging a pull request', 'review steps');
+  createRawSkill(SKILLS_TEST_DIR, 'hidden', 'name: notes\ndescription: Meeting notes', 'Mentions kubernetes and postgres only in the body');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const suggest = async (task, limit) =>
+    JSON.parse((await client.callTool({ name: 'suggest_skills', arguments: { task, limit } })).content[0].text).suggestions;
+
+  const names = (await client.listTools()).tools.map(t => t.name);
+  check(names.includes('suggest_skills'), 'suggest_skills is listed');
+
+  const restore = await suggest('I need to restore the database after we lost data');
+  check(restore[0]?.name === 'postgres-backup', 'Best match comes first');
+  check(restore[0]?.reason.includes("'restore'") && restore[0]?.reason.includes('when to use'), 'Reason names the matched words and fields');
+  check(restore[0]?.reason.includes('use when restoring a database') && !restore[0].reason.includes('\n'), 'Reason is one line and quotes when_to_use');
+
+  const merge = await suggest('merging a pull request');
+  check(merge[0]?.name === 'code-review', 'when_to_use hint is matched');
+
+  check((await suggest('kubernetes')).every(s => s.name !== 'notes'), 'Skill bodies are not matched');
+  check((await suggest('deploy database', 1)).length === 1, 'Limit is respected');
+  check((await suggest('the and of to')).length === 0, 'Filler words alone match nothing');
+
+  await client.close();
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Token Budget Test
+ * Verifies the built-in token estimator and abridged responses under max_tokens
+ */
+
+import { approxTokens, connect, createRawSkill, createTestDir, fitsBudget, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('budget');
+
+runTest({ name: 'Token budget', intro: 'token estimator and max_tokens', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  const sections = ['Overview', 'Install', 'Configure', 'Operate', 'Troubleshoot'].map(title =>
+    `# ${title}\n\n${`${title} guidance line. `.repeat(30)}`);
+  createRawSkill(SKILLS_TEST_DIR, 'manual', 'name: manual\ndescription: A long manual', sections.join('\n\n'));
+  createRawSkill(SKILLS_TEST_DIR, 'words', 'name: words\ndescription: Plain words', `# Words\n\n${'word '.repeat(100)}`);
+  const chapters = Array.from({ length: 20 }, (_, i) => `# Chapter ${i + 1}\n\n${'Detailed step for this chapter. '.repeat(60)}`);
+  createRawSkill(SKILLS_TEST_DIR, 'big', 'name: big\ndescription: About six thousand tokens', chapters.join('\n\n'));
+  createRawSkill(SKILLS_TEST_DIR, 'cjk', 'name: cjk\ndescription: CJK text', `# 文字\n\n${'漢字'.repeat(50)}`);
+
+  const client = await connect(SKILLS_TEST_DIR);
+  const text = async (name, args) =>
+    (await client.callTool({ name, arguments: args })).content[0].text;
+
+  const words = JSON.parse(await text('words', { toc: true }));
+  check(words.tokens >= 95 && words.tokens <= 110, `Plain words estimate about one token each (${words.tokens})`);
+  const cjk = JSON.parse(await text('cjk', { toc: true }));
+  check(cjk.tokens >= 100, `CJK characters estimate one token each (${cjk.tokens})`);
+
+  const abridged = await text('manual', { max_tokens: 400 });
+  check(abridged.startsWith('# manual (abridged)'), 'Oversized content is abridged');
+  check(['Overview', 'Install', 'Configure', 'Operate', 'Troubleshoot'].every(t => abridged.includes(`- ${t} (~`)), 'Outline lists every section with its estimate');
+  check(abridged.includes('Overview guidance line.') && !abridged.includes('Troubleshoot guidance line.'), 'Only the first sections are included');
+  check(/Omitted: about \d+ of \d+ tokens \(\d of 5 sections\)/.test(abridged), 'Response reports how much was left out');
+  check(fitsBudget(abridged, 400), 'Abridged response stays within the budget');
+
+  check(JSON.parse(await text('big', { toc: true })).tokens > 5000, 'Large skill is over 5000 tokens');
+  for (const maxTokens of [30, 100, 200, 1000]) {
+    const response = await text('big', { max_tokens: maxTokens });
+    check(fitsBudget(response, maxTokens), `Response fits max_tokens ${maxTokens} (about ${approxTokens(response)} tokens)`);
+  }
+  check((await text('big', { max_tokens: 1000 })).includes('Detailed step for this chapter.'), 'A larger budget includes content');
+
+  const fits = await text('manual', { max_tokens: 100000 });
+  check(fits === await text('manual', {}), 'Content within the budget is returned unchanged');
+
+  const paged = await text('manual', { max_tokens: 200, page_tokens: 100000 });
+  check(fitsBudget(paged, 200) && !paged.includes('(abridged)'), `Pages shrink to fit max_tokens (about ${approxTokens(paged)} tokens)`);
+  const cursor = paged.match(/cursor "([^"]+)"/)?.[1];
+  const nextPage = cursor ? await text('manual', { cursor, max_tokens: 200 }) : '';
+  check(nextPage.includes('Page 2:') && fitsBudget(nextPage, 200), 'The next page also fits max_tokens');
+  const cutBlock = await text('big', { max_tokens: 150, page_tokens: 1000 });
+  check(cutBlock.includes('Detailed step') && fitsBudget(cutBlock, 150), 'A block larger than the budget is cut at a word');
+
+  try {
+    await text('manual', { max_tokens: 10, page_tokens: 100 });
+    check(false, 'A budget too small for the page footer is rejected');
+  } catch (error) {
+    check(error.message.includes("'max_tokens' of 10 leaves no room for a page"), 'A budget too small for the page footer is rejected');
+  }
+
+  try {
+    await text('manual', { max_tokens: 0 });
+    check(false, 'Invalid max_tokens is rejected');
+  } catch (error) {
+    check(error.message.includes("'max_tokens' must be a positive integer"), 'Invalid max_tokens is rejected');
+  }
+
+  await client.close();
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Tool Name Normalization Test
+ * Verifies MCP-safe tool names, the reverse mapping and declared aliases
+ */
+
+import { connect, createRawSkill, createTestDir, runTest } from './test_helpers.js';
+
+const SKILLS_TEST_DIR = createTestDir('names');
+const VALID_TOOL_NAME = /^[a-z0-9_-]{1,64}$/;
+
+runTest({ name: 'Tool names', intro: 'tool name normalization', dirs: [SKILLS_TEST_DIR] }, async (check) => {
+  createRawSkill(SKILLS_TEST_DIR, 'pretty', 'name: "Deploy App (Prod)"\ndescription: Spaces and capitals\naliases: [ship, release-app]', 'deploy body');
+  createRawSkill(SKILLS_TEST_DIR, 'collide', 'name: deploy_app_prod\ndescription: Collides after normalization', 'collide body');
+  createRawSkill(SKILLS_TEST_DIR, 'long', `name: ${'very-long-skill-name-'.repeat(5)}\ndescription: Too long`, 'long body');
+  createRawSkill(SKILLS_TEST_DIR, 'clash', 'name: clash\ndescription: Alias clash\naliases: [ship]', 'clash body');
+  createRawSkill(SKILLS_TEST_DIR, 'dotted/k8s.ops', 'name: k8s.ops\ndescription: Dots in a nested name', 'dotted body');
+
+  const client = await connect(SKILLS_TEST_DIR);
+
+  const text = async (name) => (await client.callTool({ name, arguments: {} })).content[0].text;
+
+  const { tools } = await client.listTools();
+  check(tools.every(t => VALID_TOOL_NAME.test(t.name)), 'Every listed tool name is MCP-safe');
+  check(new Set(tools.map(t => t.name)).size === tools.length, 'Listed tool names are unique');
+
+  const pretty = tools.find(t => t.title === 'Deploy App (Prod)');
+  check(pretty?.name === 'deploy_app_prod', 'Display name and tool name are both listed');
+  check(JSON.stringify(pretty?.aliases) === '["ship","release-app"]', 'Aliases are listed');
+  check(tools.some(t => t.name === 'deploy_app_prod_2'), 'Normalization collision gets a suffix');
+  check(tools.some(t => t.name === 'dotted_k8s_ops'), 'Dots are replaced');
+  check(tools.some(t => t.name.length === 64 && t.title.startsWith('very-long')), 'Long name is shortened to 64 characters');
+
+  check((await text('deploy_app_prod')).includes('deploy body'), 'Normalized name calls the skill that sorts first');
+  check((await text('deploy_app_prod_2')).includes('collide body'), 'Suffixed name calls the colliding skill');
+  check((await text('ship')).includes('deploy body'), 'Alias calls the original skill');
+  check((await text('release-app')).includes('deploy body'), 'Second alias calls the original skill');
+  check((await text('dotted.k8s.ops')).includes('dotted body'), 'Original namespaced name still resolves');
+
+  const diagnostics = JSON.parse(await text('skill_diagnostics')).diagnostics;
+  check(diagnostics.some(d => d.file.includes('clash') && d.field === 'aliases'), 'Alias clash is reported');
+  await client.close();
+
+  const longName = 'versioned-skill-name-'.repeat(4).slice(0, 70);
+  createRawSkill(SKILLS_TEST_DIR, 'long-v1', `name: ${longName}\ndescription: Long v1\nversion: "1.0.0"`, 'long v1 body');
+  createRawSkill(SKILLS_TEST_DIR, 'long-v2', `name: ${longName}\ndescription: Long v2\nversion: "2.0.0"`, 'long v2 body');
+  const versioned = await connect(SKILLS_TEST_DIR, { SKILLS_LIST_ALL_VERSIONS: 'true' });
+  const versionedTools = (await versioned.listTools()).tools;
+  check(versionedTools.every(t => VALID_TOOL_NAME.test(t.name)), 'Version tool names of a long skill name are MCP-safe');
+  check(new Set(versionedTools.map(t => t.name)).size === versionedTools.length, 'Version tool names stay unique after shortening');
+  const v1 = versionedTools.find(t => t.description?.includes('Long v1'));
+  check(v1?.name.length === 64, 'Long version tool name is shortened to 64 characters');
+  const v1Text = v1 && (await versioned.callTool({ name: v1.name, arguments: {} })).content[0].text;
+  check(v1Text?.includes('long v1 body'), 'Shortened version tool name is callable');
+  await versioned.close();
+});